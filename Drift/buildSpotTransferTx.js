@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * buildSpotTransferTx.js
+ *
+ * Builds an unsigned Drift deposit or withdraw transaction without the
+ * Drift SDK (see ./lib/instructions.js) and prints it as base64, ready to be
+ * signed by the wallet or simulated:
+ *   - state, user, user stats, spot market vault, drift signer and the
+ *     wallet's associated token account are derived from the wallet
+ *   - the oracles and markets of the user's positions are added as remaining
+ *     accounts
+ *   - a deposit into a new sub-account is preceded by initializeUserStats /
+ *     initializeUser; a withdraw first creates the token account if needed
+ *
+ * AMOUNT is in human units of the market token (e.g. 1.5 SOL). Deposits of
+ * SOL are taken from the wallet's wrapped SOL token account.
+ * --simulate runs simulateTransaction (signature checks off) and prints the
+ * program logs. With a directory of account dumps as RPC_URL, pass
+ * --blockhash since no cluster is available.
+ *
+ * Usage:
+ *   npm init -y
+ *   npm install @solana/web3.js bn.js
+ *   node buildSpotTransferTx.js <deposit|withdraw> <WALLET> <MARKET_INDEX> <AMOUNT> [RPC_URL]
+ *       [--sub-account N] [--reduce-only] [--token-account PUBKEY] [--payer PUBKEY]
+ *       [--referrer WALLET] [--blockhash HASH] [--simulate]
+ *
+ * Example:
+ *   node buildSpotTransferTx.js deposit <WALLET> 1 0.5 https://api.devnet.solana.com --simulate
+ */
+
+const {
+  createConnection,
+  fetchSpotMarkets,
+  parseTokenAmount,
+  buildSpotTransferTransaction,
+  serializeUnsignedTransaction,
+  serialize,
+} = require('./lib');
+
+function takeFlag(argv, name, hasValue = true) {
+  const i = argv.indexOf(name);
+  if (i === -1) return undefined;
+  return hasValue ? argv.splice(i, 2)[1] : Boolean(argv.splice(i, 1));
+}
+
+(async () => {
+  const argv = process.argv.slice(2);
+  const subAccountId = Number(takeFlag(argv, '--sub-account') || 0);
+  const reduceOnly = takeFlag(argv, '--reduce-only', false) || false;
+  const userTokenAccount = takeFlag(argv, '--token-account');
+  const payer = takeFlag(argv, '--payer');
+  const referrer = takeFlag(argv, '--referrer');
+  const recentBlockhash = takeFlag(argv, '--blockhash');
+  const simulate = takeFlag(argv, '--simulate', false) || false;
+  const [action, authority, marketArg, amountArg, rpcUrl] = argv;
+  if (!['deposit', 'withdraw'].includes(action) || !authority || marketArg === undefined || !amountArg) {
+    console.error('Usage: node buildSpotTransferTx.js <deposit|withdraw> <WALLET> <MARKET_INDEX> <AMOUNT> [RPC_URL] '
+      + '[--sub-account N] [--reduce-only] [--token-account PUBKEY] [--payer PUBKEY] [--referrer WALLET] '
+      + '[--blockhash HASH] [--simulate]');
+    process.exit(1);
+  }
+
+  const conn = createConnection(rpcUrl);
+  const marketIndex = Number(marketArg);
+  const spotMarket = (await fetchSpotMarkets(conn, [marketIndex]))[marketIndex];
+  const amount = parseTokenAmount(amountArg, spotMarket.decimals);
+
+  const { transaction, userAccount, initialized } = await buildSpotTransferTransaction(conn, {
+    action, authority, marketIndex, amount, subAccountId, reduceOnly,
+    userTokenAccount, payer, referrer, recentBlockhash,
+  });
+
+  const message = transaction.compileMessage();
+  const output = {
+    action,
+    market: spotMarket.name,
+    marketIndex,
+    amount,
+    amountFormatted: amountArg,
+    userAccount,
+    subAccountId,
+    initialized,
+    feePayer: transaction.feePayer,
+    recentBlockhash: transaction.recentBlockhash,
+    signers: message.accountKeys.slice(0, message.header.numRequiredSignatures),
+    instructions: transaction.instructions.map(ix => ({
+      programId: ix.programId,
+      accounts: ix.keys.length,
+      data: ix.data.toString('hex'),
+    })),
+    transaction: serializeUnsignedTransaction(transaction),
+  };
+
+  if (simulate) {
+    if (typeof conn.simulateTransaction !== 'function') {
+      console.error('--simulate needs an RPC connection');
+      process.exit(1);
+    }
+    const { value } = await conn.simulateTransaction(transaction);
+    output.simulation = { err: value.err, unitsConsumed: value.unitsConsumed, logs: value.logs };
+  }
+
+  console.log(JSON.stringify(serialize(output), null, 2));
+})();
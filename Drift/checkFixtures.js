@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * checkFixtures.js
+ *
+ * Decodes every saved account in <FIXTURES_DIR>/accounts (default ./fixtures)
+ * and compares the result with <FIXTURES_DIR>/expected/<same file name>, so
+ * decoder changes can be checked without network access. Oracle accounts
+ * decode to their price; Drift accounts to the full decoded struct. Accounts
+ * without a decoder (e.g. SPL token vaults used by the scripts) are skipped.
+ *
+ * The expected files are written by these decoders (--update), so they catch
+ * regressions only. <FIXTURES_DIR>/reference/<same file name> holds values
+ * decoded by an independent implementation ({ source, account }); every
+ * field it lists must match the decoded account.
+ *
+ * user-mainnet-sdk.json is a real mainnet User taken from the Drift SDK's
+ * decode tests, with a reference decoded by Anchor from the Drift IDL. The
+ * other bundled fixtures are synthetic accounts built with known values, not
+ * snapshots of live ones: user 7SVvKLCX...YqF3 (sub-account 0 of
+ * 55SnzfBz...RyBD) holding a USDC deposit, a SOL borrow, a SOL-PERP long and
+ * a resting limit order, its UserStats and USDC insurance fund stake (with a
+ * pending unstake request), the State, SpotMarkets 0 / 1 with the USDC
+ * insurance fund vault, PerpMarket 0 and the SOL Pyth pull oracle. The accounts directory also works as an offline
+ * RPC_URL for the other scripts.
+ *
+ * --update rewrites the expected files from the current decoders; review the
+ * diff before committing it.
+ *
+ * The user's spot positions are also run through applySpotBalanceDelta for a
+ * partial withdraw and repay, and the new scaledBalance compared with values
+ * worked out by hand from the program's get_spot_balance, so what-if rounding
+ * is checked against the on-chain rules rather than against itself.
+ *
+ * Usage:
+ *   node checkFixtures.js [FIXTURES_DIR] [--update]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BN = require('bn.js');
+const {
+  readAccountDump,
+  identifyAccount,
+  canDecodeAccount,
+  decodeAccount,
+  serialize,
+  applySpotBalanceDelta,
+} = require('./lib');
+
+// get_spot_balance: floor(tokenAmount * 10^(19 - decimals) / cumulativeInterest),
+// plus one when rounding up; update_spot_balances rounds borrows and deposit
+// reductions up. Positions and interest are those of the bundled fixtures:
+// 1e12 scaled USDC deposit at 1.05, 2e9 scaled SOL borrow at 1.1
+const SPOT_BALANCE_CHECKS = [
+  { label: 'withdraw 100.000001 USDC', market: 'spotMarket-0-USDC.json', delta: '-100000001', scaledBalance: '904761903809' },
+  { label: 'withdraw 105 USDC (exact)', market: 'spotMarket-0-USDC.json', delta: '-105000000', scaledBalance: '899999999999' },
+  { label: 'repay 0.5 SOL', market: 'spotMarket-1-SOL.json', delta: '500000000', scaledBalance: '1545454545' },
+  { label: 'repay 1.1 SOL (exact)', market: 'spotMarket-1-SOL.json', delta: '1100000000', scaledBalance: '999999999' },
+];
+
+// First path at which two JSON values differ, or null
+function findDifference(actual, expected, at = '') {
+  if (typeof actual !== typeof expected || Array.isArray(actual) !== Array.isArray(expected)) return at || '.';
+  if (actual && typeof actual === 'object') {
+    const keys = new Set([...Object.keys(actual), ...Object.keys(expected)]);
+    for (const key of keys) {
+      if (!(key in actual) || !(key in expected)) return `${at}.${key}`;
+      const diff = findDifference(actual[key], expected[key], `${at}.${key}`);
+      if (diff) return diff;
+    }
+    return null;
+  }
+  return actual === expected ? null : at || '.';
+}
+
+// First path at which `actual` differs from a field listed in `reference`, or null
+function findReferenceDifference(actual, reference, at = '') {
+  if (Array.isArray(reference)) {
+    if (!Array.isArray(actual) || actual.length !== reference.length) return `${at} (length)`;
+    for (let i = 0; i < reference.length; i++) {
+      const diff = findReferenceDifference(actual[i], reference[i], `${at}[${i}]`);
+      if (diff) return diff;
+    }
+    return null;
+  }
+  if (reference && typeof reference === 'object') {
+    if (!actual || typeof actual !== 'object') return at || '.';
+    for (const key of Object.keys(reference)) {
+      const diff = findReferenceDifference(actual[key], reference[key], `${at}.${key}`);
+      if (diff) return diff;
+    }
+    return null;
+  }
+  return actual === reference ? null : at || '.';
+}
+
+(() => {
+  const args = process.argv.slice(2);
+  const update = args.includes('--update');
+  const dir = args.find(a => a !== '--update') || path.join(__dirname, 'fixtures');
+  const accountsDir = path.join(dir, 'accounts');
+  const expectedDir = path.join(dir, 'expected');
+  const referenceDir = path.join(dir, 'reference');
+
+  let failures = 0;
+  for (const file of fs.readdirSync(accountsDir).sort()) {
+    const { data } = readAccountDump(path.join(accountsDir, file));
+    if (!canDecodeAccount(data)) {
+      const type = identifyAccount(data);
+      console.log(`skip ${file} (${type ? `${type}: ` : ''}no decoder)`);
+      continue;
+    }
+    const decoded = serialize(decodeAccount(data));
+    const expectedPath = path.join(expectedDir, file.replace(/\.\w+$/, '.json'));
+    const referencePath = path.join(referenceDir, file.replace(/\.\w+$/, '.json'));
+    if (!update && fs.existsSync(referencePath)) {
+      const reference = JSON.parse(fs.readFileSync(referencePath, 'utf8'));
+      const diff = findReferenceDifference(decoded.account, reference.account);
+      if (diff) {
+        console.log(`FAIL ${file} (${decoded.type}): differs from reference at ${diff}`);
+        failures++;
+      } else {
+        console.log(`ok   ${file} (${decoded.type}) matches reference`);
+      }
+    }
+
+    if (update) {
+      fs.writeFileSync(expectedPath, `${JSON.stringify(decoded, null, 2)}\n`);
+      console.log(`updated ${file} (${decoded.type})`);
+      continue;
+    }
+    if (!fs.existsSync(expectedPath)) {
+      console.log(`MISSING ${file}: no ${path.relative(dir, expectedPath)}`);
+      failures++;
+      continue;
+    }
+    const diff = findDifference(decoded, JSON.parse(fs.readFileSync(expectedPath, 'utf8')));
+    if (diff) {
+      console.log(`FAIL ${file} (${decoded.type}): differs at ${diff}`);
+      failures++;
+    } else {
+      console.log(`ok   ${file} (${decoded.type})`);
+    }
+  }
+
+  const decodeFixture = file => decodeAccount(readAccountDump(path.join(accountsDir, file)).data).account;
+  const userFile = 'user-0.json';
+  for (const check of SPOT_BALANCE_CHECKS) {
+    if (update || !fs.existsSync(path.join(accountsDir, check.market)) || !fs.existsSync(path.join(accountsDir, userFile))) continue;
+    const spotMarket = decodeFixture(check.market);
+    const position = decodeFixture(userFile).spotPositions.find(p => p.marketIndex === spotMarket.marketIndex);
+    const { position: after } = applySpotBalanceDelta(position, spotMarket, new BN(check.delta));
+    const actual = after ? after.scaledBalance.toString() : '0';
+    if (actual !== check.scaledBalance) {
+      console.log(`FAIL spot balance: ${check.label}: scaledBalance ${actual}, expected ${check.scaledBalance}`);
+      failures++;
+    } else {
+      console.log(`ok   spot balance: ${check.label}`);
+    }
+  }
+
+  if (failures) {
+    console.error(`${failures} check(s) failed`);
+    process.exit(1);
+  }
+})();
@@ -1,81 +1,94 @@
 /**
  * decode_spot_market.js
  *
- * Fetches a SpotMarket account from Solana and parses key fields.
+ * Fetches a SpotMarket account from Solana and decodes the full struct.
+ * Prints a summary by default; `--json` dumps every field as decimal strings.
+ *
+ * The account can also be read offline with --file <PATH|-> (raw base64,
+ * `solana account --output json` output or a saved getAccountInfo response),
+ * and RPC_URL may be a directory of saved account dumps (see ./fixtures).
  *
  * Usage:
- *   node decode_spot_market.js <ACCOUNT_PUBKEY> [RPC_URL]
+ *   node decode_spot_market.js <ACCOUNT_PUBKEY> [RPC_URL] [--json]
+ *   node decode_spot_market.js --file <PATH|-> [--json]
  *
  * Example:
  *   node decode_spot_market.js 3x85u7SWkmmr7YQGYhtjARgxwegTLJgkSLRprfXod6rh https://api.devnet.solana.com
  */
 
-const fetch = require('node-fetch');
-
-// Offsets for SpotMarket struct (repr(C))
-const DECIMALS_OFFSET = 680;
-const MARKET_INDEX_OFFSET = 684;
-const ORDERS_ENABLED_OFFSET = 686;
-
-// Offsets for interest-bearing balances (u128)
-const DEPOSIT_BALANCE_OFFSET = 432;
-const BORROW_BALANCE_OFFSET = DEPOSIT_BALANCE_OFFSET + 16;
-const CUMULATIVE_DEPOSIT_INTEREST_OFFSET = DEPOSIT_BALANCE_OFFSET + 32;
-const CUMULATIVE_BORROW_INTEREST_OFFSET = DEPOSIT_BALANCE_OFFSET + 48;
-
-// Helper to read a little-endian unsigned 128-bit integer from Buffer
-function readU128LE(buffer, offset) {
-  const low = buffer.readBigUInt64LE(offset);
-  const high = buffer.readBigUInt64LE(offset + 8);
-  return (high << 64n) + low;
-}
+const { PublicKey } = require('@solana/web3.js');
+const {
+  decodeSpotMarket,
+  createConnection,
+  readAccountDump,
+  serialize,
+} = require('./lib');
 
 (async () => {
-  const [,, accountPubkey, rpcUrl = 'https://api.devnet.solana.com'] = process.argv;
-  if (!accountPubkey) {
-    console.error('Usage: node decode_spot_market.js <ACCOUNT_PUBKEY> [RPC_URL]');
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const fileFlag = args.indexOf('--file');
+  const file = fileFlag === -1 ? null : args.splice(fileFlag, 2)[1];
+  const [accountPubkey, rpcUrl] = args.filter(a => a !== '--json');
+  if (!accountPubkey && !file) {
+    console.error('Usage: node decode_spot_market.js <ACCOUNT_PUBKEY> [RPC_URL] [--json]\n'
+      + '       node decode_spot_market.js --file <PATH|-> [--json]');
     process.exit(1);
   }
 
-  // Fetch account info
-  const body = {
-    jsonrpc: '2.0', id: 1,
-    method: 'getAccountInfo',
-    params: [accountPubkey, { encoding: 'base64' }]
-  };
-
-  const resp = await fetch(rpcUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
-  const json = await resp.json();
-  if (!json.result?.value?.data) {
+  // Fetch account info, or read it from the dump
+  const info = file
+    ? readAccountDump(file)
+    : await createConnection(rpcUrl).getAccountInfo(new PublicKey(accountPubkey));
+  if (!info) {
     console.error('Failed to fetch account data');
     process.exit(1);
   }
 
-  // Decode base64 data
-  const base64Data = json.result.value.data[0];
-  const data = Buffer.from(base64Data, 'base64');
-
   // Parse fields
-  const decimals = data.readUInt32LE(DECIMALS_OFFSET);
-  const marketIndex = data.readUInt16LE(MARKET_INDEX_OFFSET);
-  const ordersEnabled = Boolean(data.readUInt8(ORDERS_ENABLED_OFFSET));
-
-  const depositBalance = readU128LE(data, DEPOSIT_BALANCE_OFFSET);
-  const borrowBalance = readU128LE(data, BORROW_BALANCE_OFFSET);
-  const cumulativeDepositInterest = readU128LE(data, CUMULATIVE_DEPOSIT_INTEREST_OFFSET);
-  const cumulativeBorrowInterest = readU128LE(data, CUMULATIVE_BORROW_INTEREST_OFFSET);
+  const market = decodeSpotMarket(info.data);
+  if (asJson) {
+    console.log(JSON.stringify(serialize(market), null, 2));
+    return;
+  }
 
   // Output results
   console.log('--- SpotMarket Parsing ---');
-  console.log('Decimals:                ', decimals);
-  console.log('Market Index:            ', marketIndex);
-  console.log('Orders Enabled:          ', ordersEnabled);
-  console.log('Deposit Balance (u128):  ', depositBalance.toString());
-  console.log('Borrow Balance (u128):   ', borrowBalance.toString());
-  console.log('Cumulative Deposit Int.: ', cumulativeDepositInterest.toString());
-  console.log('Cumulative Borrow Int.:  ', cumulativeBorrowInterest.toString());
+  console.log('Name:                    ', market.name);
+  console.log('Market Index:            ', market.marketIndex);
+  console.log('Status:                  ', market.status);
+  console.log('Asset Tier:              ', market.assetTier);
+  console.log('Mint:                    ', market.mint.toBase58());
+  console.log('Vault:                   ', market.vault.toBase58());
+  console.log('Oracle:                  ', market.oracle.toBase58());
+  console.log('Oracle Source:           ', market.oracleSource);
+  console.log('Last Oracle Price:       ', market.historicalOracleData.lastOraclePrice.toString());
+  console.log('Decimals:                ', market.decimals);
+  console.log('Orders Enabled:          ', market.ordersEnabled);
+  console.log('Deposit Balance (u128):  ', market.depositBalance.toString());
+  console.log('Borrow Balance (u128):   ', market.borrowBalance.toString());
+  console.log('Cumulative Deposit Int.: ', market.cumulativeDepositInterest.toString());
+  console.log('Cumulative Borrow Int.:  ', market.cumulativeBorrowInterest.toString());
+  console.log('Deposit Token TWAP:      ', market.depositTokenTwap.toString());
+  console.log('Borrow Token TWAP:       ', market.borrowTokenTwap.toString());
+
+  console.log('--- Interest Rate Curve ---');
+  console.log('Optimal Utilization:     ', market.optimalUtilization);
+  console.log('Optimal Borrow Rate:     ', market.optimalBorrowRate);
+  console.log('Max Borrow Rate:         ', market.maxBorrowRate);
+  console.log('Min Borrow Rate:         ', market.minBorrowRate);
+
+  console.log('--- Risk Weights ---');
+  console.log('Initial Asset Weight:    ', market.initialAssetWeight);
+  console.log('Maint. Asset Weight:     ', market.maintenanceAssetWeight);
+  console.log('Initial Liability Weight:', market.initialLiabilityWeight);
+  console.log('Maint. Liability Weight: ', market.maintenanceLiabilityWeight);
+  console.log('IMF Factor:              ', market.imfFactor);
+
+  console.log('--- Insurance Fund ---');
+  console.log('IF Vault:                ', market.insuranceFund.vault.toBase58());
+  console.log('Total Shares:            ', market.insuranceFund.totalShares.toString());
+  console.log('User Shares:             ', market.insuranceFund.userShares.toString());
+  console.log('Unstaking Period (s):    ', market.insuranceFund.unstakingPeriod.toString());
+  console.log('IF Liquidation Fee:      ', market.ifLiquidationFee);
 })();
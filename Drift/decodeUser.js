@@ -4,130 +4,136 @@
  * decodeUser.js
  *
  * 独立脚本：直接读取任意 Drift 用户 PDA（Devnet/Mainnet）上的原始账户数据，
- * 并使用官方 SDK 中的 decodeUser 逻辑（无需连接钱包）
- * 输出 spotPositions（存款）、perpPositions 等全部字段（十进制字符串）。
+ * 并使用 ./lib 中的 decodeUser 逻辑（无需连接钱包）
+ * 输出 spotPositions（存款）、perpPositions、orders（全部未结订单：类型、方向、价格、
+ * 数量、已成交数量、触发价、reduce-only、post-only、过期时间）以及 totalDeposits、
+ * totalWithdraws、settledPerpPnl、status、subAccountId 等全部字段（十进制字符串）。
+ *
+ * 也可以只提供钱包地址（--authority）：脚本会读取 UserStats 得到子账户数量，
+ * 推导每个子账户的 User PDA（seeds ["user", authority, subAccountId]），
+ * 并列出所有子账户及其持仓；--sub-account 只输出指定子账户。
+ *
+ * 每个 perpPosition 附带 valuation：读取对应 PerpMarket（seeds ["perp_market", marketIndex]），
+ * 计算 mark/oracle 价格、未实现盈亏、未结算资金费和开仓均价。
+ * oracle 价格取自市场 oracle 账户的实时数据（Pyth / Pyth pull / Switchboard），
+ * 并附带 confidence、发布 slot 以及是否过期（stale）。
+ *
+ * 解码前会校验 8 字节 Anchor discriminator 和账户大小，传错账户时会报错并指出实际账户类型。
+ * 账户布局版本通过环境变量 DRIFT_LAYOUT_VERSION 选择（1 = IDL 2.122，2 = IDL 2.145，默认 1）。
+ *
+ * 离线模式：--file 从文件（或 "-" 表示 stdin）读取 User 账户数据，支持原始 base64、
+ * `solana account <PUBKEY> --output json` 输出或保存的 getAccountInfo 响应；
+ * RPC_URL 也可以是保存了账户数据的目录（见 ./fixtures），此时无需联网。
+ * 使用 --file 且未提供 RPC_URL 时不计算 perp valuation。
  *
  * 使用方法：
  *   npm init -y
- *   npm install @solana/web3.js bn.js buffer-layout
+ *   npm install @solana/web3.js bn.js
  *   node decodeUser.js <USER_PDA> [<RPC_URL>]
+ *   node decodeUser.js --authority <WALLET> [--sub-account <ID>] [<RPC_URL>]
+ *   node decodeUser.js --file <PATH|-> [<RPC_URL|ACCOUNTS_DIR>]
  *
  * 示例：
  *   node decodeUser.js CJqT6egLn21jLT1oeoyhSNBjPyVte5PVuiyrJtreUVLw https://api.devnet.solana.com
  */
 
-const { Connection, PublicKey } = require('@solana/web3.js');
-const BN = require('bn.js');
-const layout = require('buffer-layout');
+const { PublicKey } = require('@solana/web3.js');
+const {
+  decodeUser,
+  createConnection,
+  readAccountDump,
+  fetchSubAccounts,
+  fetchPerpMarkets,
+  fetchOraclePrices,
+  getUserAccountPublicKey,
+  valuePerpPosition,
+  serialize,
+} = require('./lib');
 
-// 读取无符号小端 64 位
-function readUnsignedBigInt64LE(buffer, offset) {
-  return new BN(buffer.slice(offset, offset + 8), 'le');
-}
-// 读取有符号小端 64 位
-function readSignedBigInt64LE(buffer, offset) {
-  const uv = new BN(buffer.slice(offset, offset + 8), 'le');
-  if (uv.testn(63)) {
-    return uv.sub(new BN(1).ushln(64)).toTwos(64);
+const USAGE = 'Usage: node decodeUser.js <USER_PDA> [RPC_URL]\n'
+  + '       node decodeUser.js --authority <WALLET> [--sub-account <ID>] [RPC_URL]\n'
+  + '       node decodeUser.js --file <PATH|-> [RPC_URL|ACCOUNTS_DIR]';
+
+// Split "--flag value" options from positional arguments
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) options[argv[i].slice(2)] = argv[++i];
+    else positional.push(argv[i]);
   }
-  return uv;
+  return { options, positional };
 }
 
-function decodeUser(buffer) {
-  let offset = 8;
-  // authority
-  const authority = new PublicKey(buffer.slice(offset, offset + 32)).toBase58();
-  offset += 32;
-  // delegate
-  const delegate = new PublicKey(buffer.slice(offset, offset + 32)).toBase58();
-  offset += 32;
-  // name 32 bytes (hex)
-  const name = buffer.slice(offset, offset + 32).toString('hex');
-  offset += 32;
+// Attach PnL / funding / entry price at the live oracle price next to each raw perp position
+async function withPerpValuations(conn, user) {
+  if (user.perpPositions.length === 0) return user;
+  const perpMarkets = await fetchPerpMarkets(conn, user.perpPositions.map(p => p.marketIndex));
+  const oraclePrices = await fetchOraclePrices(conn, perpMarkets);
+  return {
+    ...user,
+    perpPositions: user.perpPositions.map(p => {
+      const oracle = oraclePrices[p.marketIndex];
+      return {
+        ...p,
+        valuation: {
+          ...valuePerpPosition(p, perpMarkets[p.marketIndex], oracle.price),
+          oracle: {
+            pubkey: oracle.oracle,
+            source: oracle.oracleSource,
+            confidence: oracle.confidence,
+            publishSlot: oracle.slot,
+            slotDelay: oracle.slotDelay,
+            stale: oracle.stale,
+          },
+        },
+      };
+    }),
+  };
+}
 
-  // spotPositions: 8 entries
-  const spotPositions = [];
-  for (let i = 0; i < 8; i++) {
-    const scaledBalance = readUnsignedBigInt64LE(buffer, offset);
-    const openOrders = buffer.readUInt8(offset + 35);
-    if (scaledBalance.isZero() && openOrders === 0) {
-      offset += 40;
-      continue;
-    }
-    const openBids = readSignedBigInt64LE(buffer, offset + 8);
-    const openAsks = readSignedBigInt64LE(buffer, offset + 16);
-    const cumulativeDeposits = readSignedBigInt64LE(buffer, offset + 24);
-    const marketIndex = buffer.readUInt16LE(offset + 32);
-    const balanceTypeNum = buffer.readUInt8(offset + 34);
-    const balanceType = balanceTypeNum === 0 ? 'DEPOSIT' : 'BORROW';
-    spotPositions.push({
-      scaledBalance: scaledBalance.toString(),
-      openBids:       openBids.toString(),
-      openAsks:       openAsks.toString(),
-      cumulativeDeposits: cumulativeDeposits.toString(),
-      marketIndex,
-      balanceType,
-      openOrders
-    });
-    offset += 40;
+(async () => {
+  const { options, positional } = parseArgs(process.argv.slice(2));
+  const authority = options.authority;
+  const userPdaArg = authority || options.file ? null : positional.shift();
+  if (!authority && !options.file && !userPdaArg) {
+    console.error(USAGE);
+    process.exit(1);
   }
 
-  // perpPositions: 8 entries
-  const perpPositions = [];
-  for (let i = 0; i < 8; i++) {
-    const baseAssetAmount = readSignedBigInt64LE(buffer, offset + 8);
-    const quoteAssetAmount = readSignedBigInt64LE(buffer, offset + 16);
-    const lpShares = readUnsignedBigInt64LE(buffer, offset + 64);
-    const openOrders = buffer.readUInt8(offset + 94);
-    if (baseAssetAmount.isZero() && quoteAssetAmount.isZero() && lpShares.isZero() && openOrders === 0) {
-      offset += 96;
-      continue;
-    }
-    const lastCumulativeFundingRate = readSignedBigInt64LE(buffer, offset);
-    const quoteBreakEvenAmount      = readSignedBigInt64LE(buffer, offset + 24);
-    const quoteEntryAmount          = readSignedBigInt64LE(buffer, offset + 32);
-    const openBids                  = readSignedBigInt64LE(buffer, offset + 40);
-    const openAsks                  = readSignedBigInt64LE(buffer, offset + 48);
-    const settledPnl                = readSignedBigInt64LE(buffer, offset + 56);
-    const lastBaseAmountPerLp       = readSignedBigInt64LE(buffer, offset + 72);
-    const lastQuoteAmountPerLp      = readSignedBigInt64LE(buffer, offset + 80);
-    const marketIndex               = buffer.readUInt16LE(offset + 88);
-    perpPositions.push({
-      lastCumulativeFundingRate: lastCumulativeFundingRate.toString(),
-      baseAssetAmount:           baseAssetAmount.toString(),
-      quoteAssetAmount:          quoteAssetAmount.toString(),
-      quoteBreakEvenAmount:      quoteBreakEvenAmount.toString(),
-      quoteEntryAmount:          quoteEntryAmount.toString(),
-      openBids:                  openBids.toString(),
-      openAsks:                  openAsks.toString(),
-      settledPnl:                settledPnl.toString(),
-      lpShares:                  lpShares.toString(),
-      lastBaseAmountPerLp:       lastBaseAmountPerLp.toString(),
-      lastQuoteAmountPerLp:      lastQuoteAmountPerLp.toString(),
-      marketIndex,
-      openOrders
-    });
-    offset += 96;
+  // Offline: decode the dump as is; value perps only if a source for the markets was given
+  if (options.file) {
+    const decoded = decodeUser(readAccountDump(options.file).data);
+    const output = positional[0] ? await withPerpValuations(createConnection(positional[0]), decoded) : decoded;
+    console.log(JSON.stringify(serialize(output), null, 2));
+    return;
   }
 
-  return { authority, delegate, name, spotPositions, perpPositions };
-}
+  const conn = createConnection(positional[0]);
 
-(async () => {
-  if (process.argv.length < 3) {
-    console.error('Usage: node decodeUser.js <USER_PDA> [RPC_URL]');
-    process.exit(1);
+  // Wallet mode: every sub-account, or only the one requested
+  if (authority && options['sub-account'] === undefined) {
+    const subAccounts = await fetchSubAccounts(conn, authority);
+    if (subAccounts.length === 0) {
+      console.error('No Drift sub-accounts found for this authority');
+      process.exit(1);
+    }
+    for (const subAccount of subAccounts) {
+      subAccount.user = await withPerpValuations(conn, subAccount.user);
+    }
+    console.log(JSON.stringify(serialize(subAccounts), null, 2));
+    return;
   }
-  const userPDA = new PublicKey(process.argv[2]);
-  const rpcUrl = process.argv[3] || 'https://api.devnet.solana.com';
-  const conn = new Connection(rpcUrl, 'confirmed');
 
+  const userPDA = authority
+    ? getUserAccountPublicKey(authority, Number(options['sub-account']))
+    : new PublicKey(userPdaArg);
   const info = await conn.getAccountInfo(userPDA);
   if (!info) {
     console.error('PDA not initialized');
     process.exit(1);
   }
 
-  const decoded = decodeUser(info.data);
-  console.log(JSON.stringify(decoded, null, 2));
+  const decoded = await withPerpValuations(conn, decodeUser(info.data));
+  console.log(JSON.stringify(serialize(decoded), null, 2));
 })();
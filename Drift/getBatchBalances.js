@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * getBatchBalances.js
+ *
+ * Batch version of getUserMarketBalance.js for reporting jobs: reads a list
+ * of Drift user PDAs (one per line, from a file or "-" for stdin), fetches
+ * them with getMultipleAccounts in chunks of --chunk-size (default 100),
+ * fetches each SpotMarket only once, and streams one result per user:
+ *   --format jsonl (default)  one JSON object per user
+ *   --format csv              one row per user and market
+ * With --usd each market's oracle is fetched once too and net balances are
+ * also given in USD.
+ *
+ * Users that are missing or fail to decode are reported with an `error`
+ * instead of stopping the run.
+ *
+ * RPC_URL may also be a directory of saved account dumps (see ./fixtures).
+ *
+ * Usage:
+ *   npm init -y
+ *   npm install @solana/web3.js bn.js
+ *   node getBatchBalances.js <PDA_LIST_FILE|-> [RPC_URL] [--format jsonl|csv] [--chunk-size N] [--usd]
+ *
+ * Example:
+ *   cat users.txt | node getBatchBalances.js - https://api.mainnet-beta.solana.com --format csv > balances.csv
+ */
+
+const {
+  createConnection,
+  readPubkeyList,
+  fetchUsersInChunks,
+  createSpotMarketCache,
+  getUserBalanceRows,
+  MAX_MULTIPLE_ACCOUNTS,
+} = require('./lib');
+
+const USAGE = 'Usage: node getBatchBalances.js <PDA_LIST_FILE|-> [RPC_URL] [--format jsonl|csv] [--chunk-size N] [--usd]';
+
+// Quote a CSV field when it contains a separator, quote or newline
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+(async () => {
+  const options = { format: 'jsonl', 'chunk-size': String(MAX_MULTIPLE_ACCOUNTS) };
+  const positional = [];
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--usd') options.usd = true;
+    else if (argv[i].startsWith('--')) options[argv[i].slice(2)] = argv[++i];
+    else positional.push(argv[i]);
+  }
+  const [listSource, rpcUrl] = positional;
+  const chunkSize = Number(options['chunk-size']);
+  if (!listSource || !['jsonl', 'csv'].includes(options.format)
+    || !(chunkSize > 0 && chunkSize <= MAX_MULTIPLE_ACCOUNTS)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const pubkeys = readPubkeyList(listSource);
+  const conn = createConnection(rpcUrl);
+  const cache = createSpotMarketCache(conn, { withOracles: options.usd });
+
+  const columns = ['user', 'authority', 'subAccountId', 'marketIndex', 'market', 'deposit', 'borrow', 'net'];
+  if (options.usd) columns.push('price', 'netUsd', 'stale');
+  columns.push('error');
+  if (options.format === 'csv') process.stdout.write(`${columns.join(',')}\n`);
+
+  for await (const { pubkey, user, error } of fetchUsersInChunks(conn, pubkeys, chunkSize)) {
+    let result = { user: pubkey.toBase58(), error };
+    if (user) {
+      try {
+        const markets = await cache.load(user.spotPositions.map(p => p.marketIndex));
+        result = {
+          user: pubkey.toBase58(),
+          authority: user.authority.toBase58(),
+          subAccountId: user.subAccountId,
+          balances: getUserBalanceRows(user, markets, cache.oraclePrices),
+          error: null,
+        };
+      } catch (err) {
+        result.error = err.message;
+      }
+    }
+
+    if (options.format === 'jsonl') {
+      process.stdout.write(`${JSON.stringify(result)}\n`);
+      continue;
+    }
+    // Users without balances still get one row so every input PDA appears in the CSV
+    const rows = result.balances && result.balances.length ? result.balances : [{}];
+    for (const row of rows) {
+      const record = { ...result, ...row };
+      process.stdout.write(`${columns.map(c => csvField(record[c])).join(',')}\n`);
+    }
+  }
+})();
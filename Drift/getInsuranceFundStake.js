@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * getInsuranceFundStake.js
+ *
+ * Shows a wallet's Drift insurance fund stakes. For each InsuranceFundStake
+ * (seeds ["insurance_fund_stake", authority, marketIndex]) it fetches the
+ * SpotMarket and the balance of its insurance fund vault, then reports
+ * (see ./lib/insuranceFund.js):
+ *   - the SpotMarket insurance fund fields (total / user shares, shares base,
+ *     unstaking period)
+ *   - the staker's shares, current token value, cost basis and PnL
+ *   - any pending unstake request and when it can be withdrawn
+ *
+ * Without --markets every spot market listed in the Drift State is checked.
+ *
+ * Usage:
+ *   npm init -y
+ *   npm install @solana/web3.js bn.js
+ *   node getInsuranceFundStake.js <WALLET> [RPC_URL] [--markets 0,1]
+ */
+
+const {
+  createConnection,
+  fetchInsuranceFundStakes,
+  fetchSpotMarkets,
+  fetchTokenAccountAmounts,
+  valueInsuranceFundStake,
+  serialize,
+} = require('./lib');
+
+(async () => {
+  const argv = process.argv.slice(2);
+  const marketsFlag = argv.indexOf('--markets');
+  const marketIndexes = marketsFlag === -1 ? undefined : argv.splice(marketsFlag, 2)[1].split(',').map(Number);
+  const [authority, rpcUrl] = argv;
+  if (!authority) {
+    console.error('Usage: node getInsuranceFundStake.js <WALLET> [RPC_URL] [--markets <i,j,...>]');
+    process.exit(1);
+  }
+
+  const conn = createConnection(rpcUrl);
+  const stakes = await fetchInsuranceFundStakes(conn, authority, marketIndexes);
+  if (stakes.length === 0) {
+    console.error('No insurance fund stakes found for this wallet');
+    process.exit(1);
+  }
+
+  const markets = await fetchSpotMarkets(conn, stakes.map(s => s.stake.marketIndex));
+  const vaultBalances = await fetchTokenAccountAmounts(
+    conn, stakes.map(s => markets[s.stake.marketIndex].insuranceFund.vault)
+  );
+
+  const output = stakes.map(({ pubkey, stake }, i) => {
+    const market = markets[stake.marketIndex];
+    return serialize({
+      pubkey,
+      insuranceFund: market.insuranceFund,
+      stake,
+      valuation: valueInsuranceFundStake(stake, market, vaultBalances[i]),
+    });
+  });
+
+  console.log(JSON.stringify(output, null, 2));
+})();
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * getLendingRates.js
+ *
+ * Live Drift lending rates: for each SpotMarket, computes utilization,
+ * borrow / deposit APR and APY from the market's interest-rate curve
+ * (see ./lib/interestRate.js).
+ *
+ * With --user, rates are reported for every market the user holds and each
+ * spot position is projected forward over --days (default 30) at the
+ * current rate.
+ *
+ * RPC_URL may also be a directory of saved account dumps (see ./fixtures)
+ * to run without network access.
+ *
+ * Usage:
+ *   npm init -y
+ *   npm install @solana/web3.js bn.js
+ *   node getLendingRates.js --markets 0,1 [RPC_URL]
+ *   node getLendingRates.js --user <USER_PDA> [--days 365] [RPC_URL]
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const {
+  decodeUser,
+  createConnection,
+  fetchSpotMarkets,
+  getMarketRates,
+  projectSpotPosition,
+  serialize,
+} = require('./lib');
+
+(async () => {
+  const options = {};
+  const positional = [];
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) options[argv[i].slice(2)] = argv[++i];
+    else positional.push(argv[i]);
+  }
+  if (!options.markets && !options.user) {
+    console.error('Usage: node getLendingRates.js (--markets <i,j,...> | --user <USER_PDA> [--days N]) [RPC_URL]');
+    process.exit(1);
+  }
+  const conn = createConnection(positional[0]);
+
+  let user = null;
+  let marketIndexes = options.markets ? options.markets.split(',').map(Number) : [];
+  if (options.user) {
+    const userInfo = await conn.getAccountInfo(new PublicKey(options.user));
+    if (!userInfo) { console.error('User PDA not found'); process.exit(1); }
+    user = decodeUser(userInfo.data);
+    marketIndexes = marketIndexes.concat(user.spotPositions.map(p => p.marketIndex));
+  }
+
+  const markets = await fetchSpotMarkets(conn, marketIndexes);
+  const output = {
+    rates: Object.values(markets).map(m => serialize(getMarketRates(m))),
+  };
+
+  if (user) {
+    const seconds = Number(options.days || 30) * 86400;
+    output.projections = user.spotPositions.map(p =>
+      serialize(projectSpotPosition(p, markets[p.marketIndex], seconds))
+    );
+  }
+
+  console.log(JSON.stringify(output, null, 2));
+})();
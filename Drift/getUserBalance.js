@@ -4,16 +4,21 @@
  * compute_balance.js
  *
  * Combined script: fetches a Drift user PDA and a SpotMarket account,
- * decodes user spotPositions and SpotMarket parameters,
- * then for each deposit spotPosition matching marketIndex,
+ * decodes user spotPositions and SpotMarket parameters (see ./lib),
+ * then for each deposit and borrow spotPosition matching marketIndex,
  * computes final balance = scaledBalance * cumulativeDepositInterest /
- *   precisionDecrease / 10^decimals (human SOL units).
+ *   precisionDecrease / 10^decimals (human SOL units); borrows use
+ *   cumulativeBorrowInterest, round up, and are reported as negative.
  *
- * Preserves original parameters in the output.
+ * Preserves original parameters in the output, followed by the
+ * deposit / borrow / net totals for the market.
+ *
+ * RPC_URL may also be a directory of saved account dumps (see ./fixtures)
+ * to run without network access.
  *
  * Usage:
  *   npm init -y
- *   npm install @solana/web3.js bn.js node-fetch buffer-layout
+ *   npm install @solana/web3.js bn.js
  *   node compute_balance.js <USER_PDA> <SPOT_MARKET_PDA> [RPC_URL]
  *
  * Example:
@@ -21,101 +26,65 @@
  *       3x85u7SWkmmr7YQGYhtjARgxwegTLJgkSLRprfXod6rh https://api.devnet.solana.com
  */
 
-const { Connection, PublicKey } = require('@solana/web3.js');
-const BN = require('bn.js');
-const fetch = require('node-fetch');
-
-// Read unsigned little-endian 64-bit as BN
-function readUnsignedBigInt64LE(buffer, offset) {
-  return new BN(buffer.slice(offset, offset + 8), 'le');
-}
-// Read signed little-endian 64-bit as BN
-function readSignedBigInt64LE(buffer, offset) {
-  const uv = new BN(buffer.slice(offset, offset + 8), 'le');
-  return uv.testn(63) ? uv.sub(new BN(1).ushln(64)).toTwos(64) : uv;
-}
-// Read unsigned little-endian 128-bit as BN
-function readU128LE(buffer, offset) {
-  const low = buffer.readBigUInt64LE(offset);
-  const high = buffer.readBigUInt64LE(offset + 8);
-  return new BN(high.toString()).ushln(64).iadd(new BN(low.toString()));
-}
-
-// Decode user PDA
-function decodeUser(buffer) {
-  let offset = 8;
-  offset += 32 + 32 + 32; // skip authority, delegate, name
-  const spots = [];
-  for (let i = 0; i < 8; i++) {
-    const scaledBalance = readUnsignedBigInt64LE(buffer, offset);
-    const openOrders = buffer.readUInt8(offset + 35);
-    if (!scaledBalance.isZero() || openOrders !== 0) {
-      const openBids = readSignedBigInt64LE(buffer, offset + 8);
-      const openAsks = readSignedBigInt64LE(buffer, offset + 16);
-      const cumulativeDeposits = readSignedBigInt64LE(buffer, offset + 24);
-      const marketIndex = buffer.readUInt16LE(offset + 32);
-      const balanceType = buffer.readUInt8(offset + 34) === 0 ? 'DEPOSIT' : 'BORROW';
-      spots.push({ scaledBalance, openBids, openAsks, cumulativeDeposits, marketIndex, balanceType, openOrders });
-    }
-    offset += 40;
-  }
-  return spots;
-}
-
-// Decode SpotMarket account
-async function decodeSpotMarket(conn, marketPubkey) {
-  const info = await conn.getAccountInfo(new PublicKey(marketPubkey));
-  if (!info) throw new Error('Market account not found');
-  const data = info.data;
-  const decimals = data.readUInt32LE(680);
-  const marketIndex = data.readUInt16LE(684);
-  const depositBalance = readU128LE(data, 432);
-  const cumulativeDepositInterest = readU128LE(data, 432 + 32);
-  return { decimals, marketIndex, cumulativeDepositInterest };
-}
+const { PublicKey } = require('@solana/web3.js');
+const {
+  decodeUser,
+  decodeSpotMarket,
+  createConnection,
+  getPrecisionDecrease,
+  getSpotPositionBalance,
+  getNetBalances,
+  serialize,
+} = require('./lib');
 
 (async () => {
-  const [,, userPda, marketPda, rpcUrl = 'https://api.devnet.solana.com'] = process.argv;
+  const [,, userPda, marketPda, rpcUrl] = process.argv;
   if (!userPda || !marketPda) {
     console.error('Usage: node compute_balance.js <USER_PDA> <SPOT_MARKET_PDA> [RPC_URL]');
     process.exit(1);
   }
 
-  const conn = new Connection(rpcUrl, 'confirmed');
+  const conn = createConnection(rpcUrl);
   const userInfo = await conn.getAccountInfo(new PublicKey(userPda));
   if (!userInfo) {
     console.error('User PDA not found'); process.exit(1);
   }
+  const marketInfo = await conn.getAccountInfo(new PublicKey(marketPda));
+  if (!marketInfo) {
+    console.error('Market account not found'); process.exit(1);
+  }
 
   // Decode both
-  const spots = decodeUser(userInfo.data);
-  const market = await decodeSpotMarket(conn, marketPda);
-
-  // precision_decrease = 10^(19 - decimals)
-  const precisionDecrease = new BN(10).pow(new BN(19 - market.decimals));
-  const base = new BN(10).pow(new BN(market.decimals));
+  const { spotPositions } = decodeUser(userInfo.data);
+  const market = decodeSpotMarket(marketInfo.data);
+  const precisionDecrease = getPrecisionDecrease(market.decimals);
 
   // Compute final balances
-  const results = spots
-    .filter(p => p.marketIndex === market.marketIndex && p.balanceType === 'DEPOSIT')
-    .map(p => {
-      const interestAmount = p.scaledBalance.mul(market.cumulativeDepositInterest).div(precisionDecrease);
-      const whole = interestAmount.div(base);
-      const frac = interestAmount.mod(base).toString().padStart(market.decimals, '0').replace(/0+$/, '');
-      const trueBalance = frac ? `${whole.toString()}.${frac}` : whole.toString();
-      return {
-        marketIndex: p.marketIndex,
-        scaledBalance: p.scaledBalance.toString(),
-        cumulativeDepositInterest: market.cumulativeDepositInterest.toString(),
-        precisionDecrease: precisionDecrease.toString(),
-        tokenAmount: interestAmount.toString(),
-        trueBalance: trueBalance,
-        openOrders: p.openOrders.toString(),
-        openBids: p.openBids.toString(),
-        openAsks: p.openAsks.toString(),
-        cumulativeDeposits: p.cumulativeDeposits.toString()
-      };
-    });
+  const matching = spotPositions.filter(p => p.marketIndex === market.marketIndex);
+  const positions = matching.map(p => {
+    const balance = getSpotPositionBalance(p, market);
+    return {
+      marketIndex: p.marketIndex,
+      balanceType: p.balanceType,
+      scaledBalance: p.scaledBalance.toString(),
+      cumulativeInterest: (p.balanceType === 'BORROW'
+        ? market.cumulativeBorrowInterest
+        : market.cumulativeDepositInterest).toString(),
+      precisionDecrease: precisionDecrease.toString(),
+      tokenAmount: balance.signedTokenAmount.toString(),
+      trueBalance: balance.trueBalance,
+      openOrders: p.openOrders.toString(),
+      openBids: p.openBids.toString(),
+      openAsks: p.openAsks.toString(),
+      cumulativeDeposits: p.cumulativeDeposits.toString()
+    };
+  });
+  const [net] = getNetBalances(matching, { [market.marketIndex]: market });
+
+  const results = {
+    positions,
+    totals: net ? serialize(net) : null,
+  };
 
   console.log(JSON.stringify(results, null, 2));
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * getUserHealth.js
+ *
+ * Fetches a Drift user PDA together with every SpotMarket and PerpMarket it
+ * has positions in, and computes (see ./lib/margin.js):
+ *   - total collateral (deposits × initial / maintenance asset weights + perp PnL)
+ *   - initial and maintenance margin requirement
+ *   - free collateral and health percentage
+ *   - estimated liquidation price per spot and perp position
+ *
+ * Prices are read live from each market's oracle, as the liquidation-risk
+ * monitor does (stale oracles are listed in the summary). --stored-prices
+ * uses the last oracle price Drift recorded on each market instead, and
+ * --spot-price / --perp-price <marketIndex>=<price> (human units) override
+ * single markets. Summary figures are named after their margin category;
+ * health is computed from maintenance margin.
+ *
+ * RPC_URL may also be a directory of saved account dumps (see ./fixtures)
+ * to run without network access.
+ *
+ * Usage:
+ *   npm init -y
+ *   npm install @solana/web3.js bn.js
+ *   node getUserHealth.js <USER_PDA> [RPC_URL] [--stored-prices] [--spot-price 1=150.25] [--perp-price 0=150.3]
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const {
+  decodeUser,
+  createConnection,
+  fetchSpotMarkets,
+  fetchPerpMarkets,
+  fetchOraclePrices,
+  oraclePriceMap,
+  parsePriceOverride,
+  calculateMargin,
+  formatMargin,
+  formatTokenAmount,
+  serialize,
+} = require('./lib');
+
+const USAGE = 'Usage: node getUserHealth.js <USER_PDA> [RPC_URL] [--stored-prices] '
+  + '[--spot-price <index>=<price>] [--perp-price <index>=<price>]';
+
+(async () => {
+  const spotPrices = {};
+  const perpPrices = {};
+  const positional = [];
+  let storedPrices = false;
+  const argv = process.argv.slice(2);
+  try {
+    for (let i = 0; i < argv.length; i++) {
+      if (argv[i] === '--stored-prices') {
+        storedPrices = true;
+      } else if (argv[i] === '--spot-price' || argv[i] === '--perp-price') {
+        const { marketIndex, price } = parsePriceOverride(argv[++i]);
+        (argv[i - 1] === '--spot-price' ? spotPrices : perpPrices)[marketIndex] = price;
+      } else {
+        positional.push(argv[i]);
+      }
+    }
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const [userPda, rpcUrl] = positional;
+  if (!userPda) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const conn = createConnection(rpcUrl);
+  const userInfo = await conn.getAccountInfo(new PublicKey(userPda));
+  if (!userInfo) { console.error('User PDA not found'); process.exit(1); }
+
+  const user = decodeUser(userInfo.data);
+  const spotMarkets = await fetchSpotMarkets(conn, user.spotPositions.map(p => p.marketIndex));
+  const perpMarkets = user.perpPositions.length
+    ? await fetchPerpMarkets(conn, user.perpPositions.map(p => p.marketIndex))
+    : {};
+
+  let staleOracles = [];
+  if (!storedPrices) {
+    const spotOracles = await fetchOraclePrices(conn, spotMarkets);
+    const perpOracles = await fetchOraclePrices(conn, perpMarkets);
+    // Explicit overrides win over the live price
+    Object.assign(spotPrices, { ...oraclePriceMap(spotOracles), ...spotPrices });
+    Object.assign(perpPrices, { ...oraclePriceMap(perpOracles), ...perpPrices });
+    staleOracles = [
+      ...Object.keys(spotOracles).filter(i => spotOracles[i].stale).map(i => `spot:${i}`),
+      ...Object.keys(perpOracles).filter(i => perpOracles[i].stale).map(i => `perp:${i}`),
+    ];
+  }
+
+  const margin = calculateMargin(user, spotMarkets, perpMarkets, { spotPrices, perpPrices });
+  const output = {
+    summary: {
+      ...formatMargin(margin),
+      prices: storedPrices ? 'stored' : 'oracle',
+      staleOracles,
+    },
+    spotPositions: margin.spotPositions.map(p => ({
+      ...serialize(p),
+      liquidationPrice: p.liquidationPrice ? formatTokenAmount(p.liquidationPrice, 6) : null,
+    })),
+    perpPositions: margin.perpPositions.map(p => ({
+      ...serialize(p),
+      liquidationPrice: p.liquidationPrice ? formatTokenAmount(p.liquidationPrice, 6) : null,
+    })),
+    raw: serialize({
+      totalCollateral: margin.totalCollateral,
+      marginRequirement: margin.marginRequirement,
+      freeCollateral: margin.freeCollateral,
+    }),
+  };
+
+  console.log(JSON.stringify(output, null, 2));
+})();
@@ -3,130 +3,133 @@
 /**
  * compute_balance.js
  *
- * Script: fetches a Drift user PDA and a SpotMarket account,
- * decodes user spotPositions and SpotMarket parameters,
- * selects the spotPosition matching the SpotMarket's marketIndex,
+ * Script: fetches a Drift user PDA, decodes its spotPositions, derives the
+ * SpotMarket PDA of every marketIndex the user holds
+ * (seeds ["spot_market", marketIndex]) and fetches them all, then per market
  * computes trueBalance = scaledBalance * cumulativeDepositInterest /
- *   precisionDecrease / 10^decimals (human SOL units),
- * and outputs a single result object with all original and computed fields,
- * ensuring all numeric outputs are in decimal strings.
+ *   precisionDecrease / 10^decimals (human SOL units) for deposits, or
+ *   -(scaledBalance * cumulativeBorrowInterest / precisionDecrease, rounded up)
+ *   for borrows,
+ * and outputs one result object per market with all original and computed
+ * fields, ensuring all numeric outputs are in decimal strings.
+ *
+ * Passing an explicit SpotMarket pubkey as second argument (the old usage)
+ * restricts the output to that market.
+ *
+ * Each market's oracle (SpotMarket.oracle, decoded per SpotMarket.oracleSource)
+ * is fetched too, and the balances are also given in USD together with the
+ * oracle price, confidence and publish slot. Prices more than
+ * --max-oracle-delay slots old (default 120) are flagged `stale`.
+ *
+ * RPC_URL may also be a directory of saved account dumps (see ./fixtures)
+ * to run without network access.
  *
  * Usage:
  *   npm init -y
- *   npm install @solana/web3.js bn.js node-fetch buffer-layout
+ *   npm install @solana/web3.js bn.js
+ *   node compute_balance.js <USER_PDA> [RPC_URL] [--max-oracle-delay <SLOTS>]
  *   node compute_balance.js <USER_PDA> <SPOT_MARKET_PDA> [RPC_URL]
  */
 
-const { Connection, PublicKey } = require('@solana/web3.js');
-const BN = require('bn.js');
-const fetch = require('node-fetch');
-
-// Read unsigned little-endian 64-bit as BN
-function readUnsignedBigInt64LE(buffer, offset) {
-  return new BN(buffer.slice(offset, offset + 8), 'le');
-}
-// Read signed little-endian 64-bit as BN
-function readSignedBigInt64LE(buffer, offset) {
-  const uv = new BN(buffer.slice(offset, offset + 8), 'le');
-  return uv.testn(63) ? uv.sub(new BN(1).ushln(64)).toTwos(64) : uv;
-}
-// Read unsigned little-endian 128-bit as BN
-function readU128LE(buffer, offset) {
-  const low = buffer.readBigUInt64LE(offset);
-  const high = buffer.readBigUInt64LE(offset + 8);
-  return new BN(high.toString()).ushln(64).iadd(new BN(low.toString()));
-}
-
-// Decode user's spotPositions
-function decodeUserSpots(buffer) {
-  let offset = 8 + 32 + 32 + 32; // skip discriminator, authority, delegate, name
-  const spots = [];
-  for (let i = 0; i < 8; i++) {
-    const scaledBalance = readUnsignedBigInt64LE(buffer, offset);
-    const openOrders = buffer.readUInt8(offset + 35);
-    if (!scaledBalance.isZero() || openOrders !== 0) {
-      const openBids = readSignedBigInt64LE(buffer, offset + 8);
-      const openAsks = readSignedBigInt64LE(buffer, offset + 16);
-      const cumulativeDeposits = readSignedBigInt64LE(buffer, offset + 24);
-      const marketIndex = buffer.readUInt16LE(offset + 32);
-      const balanceType = buffer.readUInt8(offset + 34) === 0 ? 'DEPOSIT' : 'BORROW';
-      spots.push({
-        scaledBalance: scaledBalance.toString(),
-        openBids: openBids.toString(),
-        openAsks: openAsks.toString(),
-        cumulativeDeposits: cumulativeDeposits.toString(),
-        marketIndex,
-        balanceType,
-        openOrders: openOrders.toString(),
-      });
-    }
-    offset += 40;
-  }
-  return spots;
-}
+const { PublicKey } = require('@solana/web3.js');
+const {
+  decodeUser,
+  decodeSpotMarket,
+  createConnection,
+  isAccountsDirectory,
+  fetchSpotMarkets,
+  fetchOraclePrices,
+  getSpotPositionBalance,
+  getNetBalances,
+  getTokenValue,
+  formatTokenAmount,
+  serialize,
+} = require('./lib');
 
-// Decode SpotMarket parameters
-async function decodeSpotMarket(conn, marketPubkey) {
-  const info = await conn.getAccountInfo(new PublicKey(marketPubkey));
-  if (!info) throw new Error('Market account not found');
-  const data = info.data;
-  const decimals = data.readUInt32LE(680);
-  const marketIndex = data.readUInt16LE(684);
-  const ordersEnabled = Boolean(data.readUInt8(686));
-  const depositBalanceBN = readU128LE(data, 432);
-  const borrowBalanceBN = readU128LE(data, 432 + 16);
-  const cumulativeDepositInterestBN = readU128LE(data, 432 + 32);
-  const cumulativeBorrowInterestBN = readU128LE(data, 432 + 48);
-  // Convert to decimal strings
-  return {
-    decimals: decimals,
-    marketIndex: marketIndex,
-    ordersEnabled: ordersEnabled,
-    depositBalance: depositBalanceBN.toString(),
-    borrowBalance: borrowBalanceBN.toString(),
-    cumulativeDepositInterest: cumulativeDepositInterestBN.toString(),
-    cumulativeBorrowInterest: cumulativeBorrowInterestBN.toString(),
-  };
-}
+const USAGE = 'Usage: node compute_balance.js <USER_PDA> [SPOT_MARKET_PDA] [RPC_URL] [--max-oracle-delay <SLOTS>]';
 
 (async () => {
-  const [,, userPda, marketPda, rpcUrl = 'https://api.devnet.solana.com'] = process.argv;
-  if (!userPda || !marketPda) {
-    console.error('Usage: node compute_balance.js <USER_PDA> <SPOT_MARKET_PDA> [RPC_URL]');
+  const argv = process.argv.slice(2);
+  const delayFlag = argv.indexOf('--max-oracle-delay');
+  const delayArg = delayFlag === -1 ? undefined : argv.splice(delayFlag, 2)[1];
+  // A missing or non-numeric delay would silently disable the staleness check
+  if (delayFlag !== -1 && !/^\d+$/.test(delayArg || '')) {
+    console.error('--max-oracle-delay needs a non-negative whole number of slots');
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const maxDelaySlots = delayArg === undefined ? undefined : Number(delayArg);
+  const [userPda, ...rest] = argv;
+  if (!userPda) {
+    console.error(USAGE);
     process.exit(1);
   }
+  const marketPda = rest[0] && !/^https?:/.test(rest[0]) && !isAccountsDirectory(rest[0]) ? rest.shift() : null;
+  const rpcUrl = rest[0];
 
-  const conn = new Connection(rpcUrl, 'confirmed');
+  const conn = createConnection(rpcUrl);
   const userInfo = await conn.getAccountInfo(new PublicKey(userPda));
   if (!userInfo) { console.error('User PDA not found'); process.exit(1); }
 
-  // Decode user spots and market parameters
-  const spots = decodeUserSpots(userInfo.data);
-  const market = await decodeSpotMarket(conn, marketPda);
+  // Decode user spots and fetch the markets they reference
+  const { spotPositions } = decodeUser(userInfo.data);
+  let markets;
+  if (marketPda) {
+    const marketInfo = await conn.getAccountInfo(new PublicKey(marketPda));
+    if (!marketInfo) { console.error('Market account not found'); process.exit(1); }
+    const market = decodeSpotMarket(marketInfo.data);
+    markets = { [market.marketIndex]: market };
+  } else {
+    markets = await fetchSpotMarkets(conn, spotPositions.map(p => p.marketIndex));
+  }
 
-  // Find the spotPosition matching marketIndex and DEPOSIT
-  const spot = spots.find(p => p.marketIndex === market.marketIndex && p.balanceType === 'DEPOSIT');
-  if (!spot) {
-    console.error(`No DEPOSIT spotPosition found for marketIndex ${market.marketIndex}`);
+  const spots = spotPositions.filter(p => markets[p.marketIndex]);
+  if (spots.length === 0) {
+    console.error(marketPda ? 'No spotPosition found for the given SpotMarket' : 'User has no spotPositions');
     process.exit(1);
   }
 
-  // Compute true balance using on-chain formula
-  const precisionDecrease = new BN(10).pow(new BN(19 - market.decimals));
-  const base = new BN(10).pow(new BN(market.decimals));
-  const interestAmt = new BN(spot.scaledBalance).mul(new BN(market.cumulativeDepositInterest)).div(precisionDecrease);
-  const whole = interestAmt.div(base);
-  const frac = interestAmt.mod(base).toString().padStart(market.decimals, '0').replace(/0+$/, '');
-  const trueBalance = frac ? `${whole.toString()}.${frac}` : whole.toString();
-
-  // Prepare output preserving original fields
-  const output = {
-    market: market,
-    spotPosition: {
-      ...spot,
-      trueBalance: trueBalance,
-    },
-  };
+  // Compute true balances using on-chain formula
+  const nets = getNetBalances(spots, markets);
+  const oraclePrices = await fetchOraclePrices(conn, markets, { maxDelaySlots });
+  const output = spots.map(spot => {
+    const market = markets[spot.marketIndex];
+    const balance = getSpotPositionBalance(spot, market);
+    const net = nets.find(n => n.marketIndex === spot.marketIndex);
+    const oracle = oraclePrices[spot.marketIndex];
+    const usd = amount => formatTokenAmount(getTokenValue(amount, oracle.price, market.decimals), 6);
+    return serialize({
+      market: {
+        pubkey: market.pubkey,
+        name: market.name,
+        marketIndex: market.marketIndex,
+        decimals: market.decimals,
+        cumulativeDepositInterest: market.cumulativeDepositInterest,
+        cumulativeBorrowInterest: market.cumulativeBorrowInterest,
+      },
+      spotPosition: {
+        ...spot,
+        tokenAmount: balance.signedTokenAmount,
+        trueBalance: balance.trueBalance,
+      },
+      deposit: net.deposit,
+      borrow: net.borrow,
+      net: net.net,
+      usd: {
+        oracle: oracle.oracle,
+        oracleSource: oracle.oracleSource,
+        price: formatTokenAmount(oracle.price, 6),
+        confidence: formatTokenAmount(oracle.confidence, 6),
+        publishSlot: oracle.slot,
+        slotDelay: oracle.slotDelay,
+        stale: oracle.stale,
+        trueBalance: usd(balance.signedTokenAmount),
+        deposit: usd(net.depositAmount),
+        borrow: usd(net.borrowAmount),
+        net: usd(net.netAmount),
+      },
+    });
+  });
 
   console.log(JSON.stringify(output, null, 2));
 })();
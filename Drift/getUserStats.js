@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * getUserStats.js
+ *
+ * Wallet-level Drift report: decodes the wallet's UserStats account (seeds
+ * ["user_stats", authority]) and the Drift State fee structures, then prints
+ *   - fee tier: perp tier from 30d volume or insurance fund stake, and the
+ *     taker fee / maker rebate / referral rates that go with it (see
+ *     ./lib/fees.js)
+ *   - activity: rolling 30d maker + taker volume, filler volume, lifetime
+ *     fees paid / rebates / referral rewards, referrer and FUEL points
+ *   - balances: every sub-account's net deposit / borrow per spot market,
+ *     as getUserBalance.js computes them
+ * Sub-accounts in high leverage mode always pay perp fee tier 0; they are
+ * reported with their own feeTier.
+ *
+ * RPC_URL may also be a directory of saved account dumps (see ./fixtures).
+ *
+ * Usage:
+ *   npm init -y
+ *   npm install @solana/web3.js bn.js
+ *   node getUserStats.js <WALLET> [RPC_URL]
+ */
+
+const {
+  createConnection,
+  fetchUserStats,
+  fetchState,
+  fetchSubAccounts,
+  fetchSpotMarkets,
+  getUser30dRollingVolume,
+  getUserFeeTiers,
+  getUserBalanceRows,
+  formatTokenAmount,
+  serialize,
+} = require('./lib');
+
+(async () => {
+  const [,, authority, rpcUrl] = process.argv;
+  if (!authority) {
+    console.error('Usage: node getUserStats.js <WALLET> [RPC_URL]');
+    process.exit(1);
+  }
+
+  const conn = createConnection(rpcUrl);
+  const userStats = await fetchUserStats(conn, authority);
+  if (!userStats) {
+    console.error('No Drift UserStats account for this wallet');
+    process.exit(1);
+  }
+  const state = await fetchState(conn);
+  const subAccounts = await fetchSubAccounts(conn, authority);
+  const markets = await fetchSpotMarkets(conn, subAccounts.flatMap(s => s.user.spotPositions.map(p => p.marketIndex)));
+
+  const usd = value => formatTokenAmount(value, 6);
+  const { fees } = userStats;
+  const output = {
+    authority,
+    feeTier: getUserFeeTiers(userStats, state),
+    activity: {
+      rolling30dVolume: usd(getUser30dRollingVolume(userStats)),
+      makerVolume30d: usd(userStats.makerVolume30d),
+      takerVolume30d: usd(userStats.takerVolume30d),
+      fillerVolume30d: usd(userStats.fillerVolume30d),
+      totalFeePaid: usd(fees.totalFeePaid),
+      totalFeeRebate: usd(fees.totalFeeRebate),
+      totalRefereeDiscount: usd(fees.totalRefereeDiscount),
+      totalReferrerReward: usd(fees.totalReferrerReward),
+      ifStakedQuoteAssetAmount: usd(userStats.ifStakedQuoteAssetAmount),
+      referrer: userStats.referrer,
+      referrerStatus: userStats.referrerStatus,
+      numberOfSubAccounts: userStats.numberOfSubAccounts,
+      fuel: userStats.fuel,
+    },
+    subAccounts: subAccounts.map(({ subAccountId, pubkey, user }) => ({
+      subAccountId,
+      pubkey,
+      name: user.name,
+      marginMode: user.marginMode,
+      ...(user.marginMode === 'HighLeverage'
+        ? { feeTier: getUserFeeTiers(userStats, state, { highLeverageMode: true }).perp }
+        : {}),
+      balances: getUserBalanceRows(user, markets),
+    })),
+    userStats,
+  };
+
+  console.log(JSON.stringify(serialize(output), null, 2));
+})();
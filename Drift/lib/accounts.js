@@ -0,0 +1,103 @@
+/**
+ * accounts.js
+ *
+ * Account type checks run before decoding. Anchor prefixes every account
+ * with an 8-byte discriminator (sha256("account:<Name>")[0..8]); decoders
+ * call assertAccountType so a wrong pubkey fails with a message naming what
+ * the account really is instead of decoding garbage.
+ *
+ * Layout versions: the Drift program has changed struct fields without
+ * changing account sizes, so the version cannot be read from the account.
+ * Decoders take `layoutVersion` (default DRIFT_LAYOUT_VERSION env, else 1):
+ *   1  protocol-v2 IDL 2.122 (PerpPosition.remainderBaseAssetAmount,
+ *      AMM.maxPositionSize / totalFeeEarnedPerLp)
+ *   2  protocol-v2 IDL 2.145 (PerpPosition.maxMarginRatio, AMM mmOracle
+ *      fields, PerpMarket LP pool fields)
+ */
+
+const crypto = require('crypto');
+
+const LAYOUT_VERSIONS = [1, 2];
+const DEFAULT_LAYOUT_VERSION = Number(process.env.DRIFT_LAYOUT_VERSION) || 1;
+
+// Expected account sizes (discriminator included), identical in every layout version
+const ACCOUNT_SIZES = {
+  User: 4376,
+  UserStats: 240,
+  SpotMarket: 776,
+  PerpMarket: 1216,
+  State: 992,
+  InsuranceFundStake: 136,
+};
+
+// Other Anchor accounts recognised only to name them in errors
+const KNOWN_ACCOUNTS = [
+  ...Object.keys(ACCOUNT_SIZES),
+  'PrelaunchOracle',
+  'PythLazerOracle',
+  'ReferrerName',
+  'SignedMsgUserOrders',
+  'PriceUpdateV2',
+  'PullFeedAccountData',
+];
+
+// Anchor accounts owned by other programs, named by their owner in errors
+const FOREIGN_ACCOUNT_OWNERS = {
+  PriceUpdateV2: 'Pyth',
+  PullFeedAccountData: 'Switchboard',
+};
+
+const PYTH_MAGIC = 0xa1b2c3d4;
+
+function accountDiscriminator(name) {
+  return crypto.createHash('sha256').update(`account:${name}`).digest().subarray(0, 8);
+}
+
+const DISCRIMINATORS = KNOWN_ACCOUNTS.map(name => ({ name, discriminator: accountDiscriminator(name) }));
+
+// Name of the account type stored in `buffer`, or null if it is not recognised
+function identifyAccount(buffer) {
+  if (buffer.length >= 8) {
+    const match = DISCRIMINATORS.find(d => d.discriminator.equals(buffer.subarray(0, 8)));
+    if (match) return match.name;
+  }
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === PYTH_MAGIC) return 'Pyth price';
+  return null;
+}
+
+function describeAccount(buffer) {
+  if (buffer.length === 0) return 'an empty account (no data)';
+  const name = identifyAccount(buffer);
+  if (name) return `a ${name} account`;
+  const prefix = buffer.subarray(0, 8).toString('hex');
+  return `an unknown ${buffer.length}-byte account (discriminator ${prefix})`;
+}
+
+// Throw unless `buffer` is an `expected` account (Drift or oracle) of the expected size
+function assertAccountType(buffer, expected) {
+  if (buffer.length < 8 || !accountDiscriminator(expected).equals(buffer.subarray(0, 8))) {
+    const owner = FOREIGN_ACCOUNT_OWNERS[expected] || 'Drift';
+    throw new Error(`Expected a ${owner} ${expected} account but got ${describeAccount(buffer)}`);
+  }
+  const size = ACCOUNT_SIZES[expected];
+  if (size !== undefined && buffer.length !== size) {
+    throw new Error(`Drift ${expected} account is ${buffer.length} bytes, expected ${size}`);
+  }
+}
+
+function resolveLayoutVersion(layoutVersion = DEFAULT_LAYOUT_VERSION) {
+  if (!LAYOUT_VERSIONS.includes(layoutVersion)) {
+    throw new Error(`Unsupported Drift layout version ${layoutVersion} (supported: ${LAYOUT_VERSIONS.join(', ')})`);
+  }
+  return layoutVersion;
+}
+
+module.exports = {
+  LAYOUT_VERSIONS,
+  DEFAULT_LAYOUT_VERSION,
+  ACCOUNT_SIZES,
+  accountDiscriminator,
+  identifyAccount,
+  assertAccountType,
+  resolveLayoutVersion,
+};
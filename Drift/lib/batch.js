@@ -0,0 +1,104 @@
+/**
+ * batch.js
+ *
+ * Helpers for reporting over many users at once: User accounts are fetched
+ * with getMultipleAccounts in chunks (100 is the RPC limit), and SpotMarkets
+ * (plus, optionally, their oracle prices) are fetched once and cached for
+ * the whole run.
+ */
+
+const fs = require('fs');
+const { PublicKey } = require('@solana/web3.js');
+const { decodeUser } = require('./user');
+const { getNetBalances, formatTokenAmount } = require('./spotBalance');
+const { getTokenValue } = require('./oracle');
+const { fetchSpotMarkets, fetchOraclePrices } = require('./fetch');
+const { DRIFT_PROGRAM_ID } = require('./pda');
+
+const MAX_MULTIPLE_ACCOUNTS = 100;
+
+// One pubkey per line (first comma / whitespace separated token); blank lines and # comments skipped
+function readPubkeyList(source) {
+  const text = source === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(source, 'utf8');
+  return text.split('\n')
+    .map(line => line.trim().split(/[\s,]+/)[0])
+    .filter(token => token && !token.startsWith('#'))
+    .map(token => new PublicKey(token));
+}
+
+/**
+ * Yields { pubkey, user, error } for every pubkey, in order, fetching
+ * `chunkSize` accounts per RPC call. Missing or undecodable accounts are
+ * reported through `error` rather than aborting the run.
+ */
+async function* fetchUsersInChunks(conn, pubkeys, chunkSize = MAX_MULTIPLE_ACCOUNTS) {
+  for (let i = 0; i < pubkeys.length; i += chunkSize) {
+    const chunk = pubkeys.slice(i, i + chunkSize);
+    const infos = await conn.getMultipleAccountsInfo(chunk);
+    for (let j = 0; j < chunk.length; j++) {
+      if (!infos[j]) {
+        yield { pubkey: chunk[j], user: null, error: 'User account not found' };
+        continue;
+      }
+      try {
+        yield { pubkey: chunk[j], user: decodeUser(infos[j].data), error: null };
+      } catch (err) {
+        yield { pubkey: chunk[j], user: null, error: err.message };
+      }
+    }
+  }
+}
+
+/**
+ * SpotMarkets fetched on first use and kept for the run. With
+ * options.withOracles the markets' oracle prices are fetched alongside
+ * (prices are not refreshed afterwards).
+ */
+function createSpotMarketCache(conn, options = {}) {
+  const programId = options.programId || DRIFT_PROGRAM_ID;
+  const markets = {};
+  const oraclePrices = {};
+
+  return {
+    markets,
+    oraclePrices,
+    async load(marketIndexes) {
+      const missing = [...new Set(marketIndexes)].filter(i => !markets[i]);
+      if (missing.length === 0) return markets;
+      const fetched = await fetchSpotMarkets(conn, missing, programId);
+      Object.assign(markets, fetched);
+      if (options.withOracles) {
+        Object.assign(oraclePrices, await fetchOraclePrices(conn, fetched, { maxDelaySlots: options.maxDelaySlots }));
+      }
+      return markets;
+    },
+  };
+}
+
+// Net deposit / borrow per market of one user, with USD values when prices are given
+function getUserBalanceRows(user, markets, oraclePrices = {}) {
+  return getNetBalances(user.spotPositions, markets).map(net => {
+    const oracle = oraclePrices[net.marketIndex];
+    const row = {
+      marketIndex: net.marketIndex,
+      market: markets[net.marketIndex].name,
+      deposit: net.deposit,
+      borrow: net.borrow,
+      net: net.net,
+    };
+    if (oracle) {
+      row.price = formatTokenAmount(oracle.price, 6);
+      row.netUsd = formatTokenAmount(getTokenValue(net.netAmount, oracle.price, net.decimals), 6);
+      row.stale = oracle.stale;
+    }
+    return row;
+  });
+}
+
+module.exports = {
+  MAX_MULTIPLE_ACCOUNTS,
+  readPubkeyList,
+  fetchUsersInChunks,
+  createSpotMarketCache,
+  getUserBalanceRows,
+};
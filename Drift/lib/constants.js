@@ -0,0 +1,31 @@
+/**
+ * constants.js
+ *
+ * Fixed-point precisions used by the Drift program.
+ */
+
+const BN = require('bn.js');
+
+const PRICE_PRECISION = new BN(10).pow(new BN(6));
+const QUOTE_PRECISION = new BN(10).pow(new BN(6));
+const BASE_PRECISION = new BN(10).pow(new BN(9));
+const AMM_RESERVE_PRECISION = BASE_PRECISION;
+const PEG_PRECISION = new BN(10).pow(new BN(6));
+const AMM_TO_QUOTE_PRECISION_RATIO = AMM_RESERVE_PRECISION.div(QUOTE_PRECISION);
+const FUNDING_RATE_BUFFER_PRECISION = new BN(10).pow(new BN(3));
+const SPOT_WEIGHT_PRECISION = new BN(10).pow(new BN(4));
+const SPOT_IMF_PRECISION = new BN(10).pow(new BN(6));
+const MARGIN_PRECISION = new BN(10).pow(new BN(4));
+
+module.exports = {
+  PRICE_PRECISION,
+  QUOTE_PRECISION,
+  BASE_PRECISION,
+  AMM_RESERVE_PRECISION,
+  PEG_PRECISION,
+  AMM_TO_QUOTE_PRECISION_RATIO,
+  FUNDING_RATE_BUFFER_PRECISION,
+  SPOT_WEIGHT_PRECISION,
+  SPOT_IMF_PRECISION,
+  MARGIN_PRECISION,
+};
@@ -0,0 +1,76 @@
+/**
+ * enums.js
+ *
+ * Variant names for the single-byte enums stored in Drift accounts,
+ * indexed by their on-chain discriminant.
+ */
+
+const ORACLE_SOURCES = [
+  'Pyth', 'Switchboard', 'QuoteAsset', 'Pyth1K', 'Pyth1M', 'PythStableCoin', 'Prelaunch',
+  'PythPull', 'Pyth1KPull', 'Pyth1MPull', 'PythStableCoinPull', 'SwitchboardOnDemand',
+  'PythLazer', 'PythLazer1K', 'PythLazer1M', 'PythLazerStableCoin',
+];
+
+const MARKET_STATUSES = [
+  'Initialized', 'Active', 'FundingPaused', 'AmmPaused', 'FillPaused',
+  'WithdrawPaused', 'ReduceOnly', 'Settlement', 'Delisted',
+];
+
+const ASSET_TIERS = ['Collateral', 'Protected', 'Cross', 'Isolated', 'Unlisted'];
+
+const CONTRACT_TYPES = ['Perpetual', 'Future', 'Prediction'];
+
+const CONTRACT_TIERS = ['A', 'B', 'C', 'Speculative', 'HighlySpeculative', 'Isolated'];
+
+const ORDER_STATUSES = ['Init', 'Open', 'Filled', 'Canceled'];
+
+const ORDER_TYPES = ['Market', 'Limit', 'TriggerMarket', 'TriggerLimit', 'Oracle'];
+
+const MARKET_TYPES = ['Spot', 'Perp'];
+
+const POSITION_DIRECTIONS = ['Long', 'Short'];
+
+const ORDER_TRIGGER_CONDITIONS = ['Above', 'Below', 'TriggeredAbove', 'TriggeredBelow'];
+
+const MARGIN_MODES = ['Default', 'HighLeverage', 'HighLeverageMaintenance'];
+
+// Bit flags, indexed by bit position
+const USER_STATUS_FLAGS = ['BeingLiquidated', 'Bankrupt', 'ReduceOnly', 'AdvancedLp', 'ProtectedMakerOrders'];
+
+// UserStats.referrerStatus
+const REFERRER_STATUS_FLAGS = ['IsReferrer', 'IsReferred'];
+
+// SpotMarket.pausedOperations
+const SPOT_OPERATION_FLAGS = ['UpdateCumulativeInterest', 'Fill', 'Deposit', 'Withdraw', 'Liquidation'];
+
+const ORDER_BIT_FLAGS = ['SignedMessage', 'OracleTriggerMarket', 'SafeTriggerOrder', 'NewTriggerReduceOnly'];
+
+// Unknown discriminants are reported rather than thrown so newer accounts still decode
+function enumName(variants, value) {
+  return variants[value] !== undefined ? variants[value] : `Unknown(${value})`;
+}
+
+// Names of the bits set in a flags byte
+function flagNames(flags, value) {
+  return flags.filter((_, bit) => value & (1 << bit));
+}
+
+module.exports = {
+  ORACLE_SOURCES,
+  MARKET_STATUSES,
+  ASSET_TIERS,
+  CONTRACT_TYPES,
+  CONTRACT_TIERS,
+  ORDER_STATUSES,
+  ORDER_TYPES,
+  MARKET_TYPES,
+  POSITION_DIRECTIONS,
+  ORDER_TRIGGER_CONDITIONS,
+  MARGIN_MODES,
+  USER_STATUS_FLAGS,
+  ORDER_BIT_FLAGS,
+  SPOT_OPERATION_FLAGS,
+  REFERRER_STATUS_FLAGS,
+  enumName,
+  flagNames,
+};
@@ -0,0 +1,84 @@
+/**
+ * fees.js
+ *
+ * Fee tier of a Drift authority, following the Drift SDK (User.getUserFeeTier):
+ *   30d volume  = maker + taker volume, each decayed linearly by the time
+ *                 since it was last updated (a 30-day rolling estimate)
+ *   perp tier   = the highest tier reached by either 30d volume or the
+ *                 insurance fund stake (ifStakedQuoteAssetAmount):
+ *                   tier  volume       or  staked
+ *                   5     100M             10,000
+ *                   4      50M              5,000
+ *                   3      10M              2,000
+ *                   2       5M              1,000
+ *                   1       1M                500
+ *                   0     otherwise
+ *                 High-leverage-mode accounts always pay tier 0.
+ *   spot tier   = always tier 0
+ * Fee rates come from State.perpFeeStructure / spotFeeStructure.
+ */
+
+const BN = require('bn.js');
+const { QUOTE_PRECISION } = require('./constants');
+const { formatTokenAmount } = require('./spotBalance');
+
+const THIRTY_DAYS = new BN(60 * 60 * 24 * 30);
+const VOLUME_TIERS = [100000000, 50000000, 10000000, 5000000, 1000000].map(v => new BN(v).mul(QUOTE_PRECISION));
+const STAKED_TIERS = [10000, 5000, 2000, 1000, 500].map(v => new BN(v).mul(QUOTE_PRECISION));
+
+function decayVolume(volume, lastTs, now) {
+  const elapsed = BN.max(now.sub(lastTs), new BN(0));
+  return volume.mul(BN.max(THIRTY_DAYS.sub(elapsed), new BN(0))).div(THIRTY_DAYS);
+}
+
+// Maker + taker volume over the last 30 days (QUOTE_PRECISION); now is unix seconds
+function getUser30dRollingVolume(userStats, now = Math.floor(Date.now() / 1000)) {
+  const ts = new BN(now);
+  return decayVolume(userStats.takerVolume30d, userStats.lastTakerVolume30dTs, ts)
+    .add(decayVolume(userStats.makerVolume30d, userStats.lastMakerVolume30dTs, ts));
+}
+
+// Perp fee tier index (0-5) earned by volume or insurance fund stake
+function getPerpFeeTierIndex(userStats, now) {
+  const volume = getUser30dRollingVolume(userStats, now);
+  const index = VOLUME_TIERS.findIndex((tier, i) => volume.gte(tier) || userStats.ifStakedQuoteAssetAmount.gte(STAKED_TIERS[i]));
+  return index === -1 ? 0 : 5 - index;
+}
+
+// numerator / denominator × scale as a decimal string (scale 10000 = bps, 100 = %)
+function formatRatio(numerator, denominator, scale) {
+  if (denominator === 0) return '0';
+  return formatTokenAmount(new BN(numerator).muln(scale).mul(QUOTE_PRECISION).div(new BN(denominator)), 6);
+}
+
+function describeFeeTier(index, feeTier) {
+  return {
+    tier: index,
+    ...feeTier,
+    formatted: {
+      takerFeeBps: formatRatio(feeTier.feeNumerator, feeTier.feeDenominator, 10000),
+      makerRebateBps: formatRatio(feeTier.makerRebateNumerator, feeTier.makerRebateDenominator, 10000),
+      referrerRewardPct: formatRatio(feeTier.referrerRewardNumerator, feeTier.referrerRewardDenominator, 100),
+      refereeDiscountPct: formatRatio(feeTier.refereeFeeNumerator, feeTier.refereeFeeDenominator, 100),
+    },
+  };
+}
+
+/**
+ * Perp and spot fee tiers of the authority behind `userStats`.
+ *   state    decoded Drift State (fee structures)
+ *   options  { now, highLeverageMode }
+ */
+function getUserFeeTiers(userStats, state, options = {}) {
+  const perpIndex = options.highLeverageMode ? 0 : getPerpFeeTierIndex(userStats, options.now);
+  return {
+    perp: describeFeeTier(perpIndex, state.perpFeeStructure.feeTiers[perpIndex]),
+    spot: describeFeeTier(0, state.spotFeeStructure.feeTiers[0]),
+  };
+}
+
+module.exports = {
+  getUser30dRollingVolume,
+  getPerpFeeTierIndex,
+  getUserFeeTiers,
+};
@@ -0,0 +1,165 @@
+/**
+ * fetch.js
+ *
+ * RPC helpers that fetch and decode Drift accounts through a
+ * @solana/web3.js Connection.
+ */
+
+const { decodeUser } = require('./user');
+const { decodeUserStats } = require('./userStats');
+const { decodeSpotMarket } = require('./spotMarket');
+const { decodePerpMarket } = require('./perpMarket');
+const { decodeOraclePrice, getOracleStaleness } = require('./oracle');
+const { decodeState } = require('./state');
+const { decodeInsuranceFundStake, readTokenAccountAmount } = require('./insuranceFund');
+const {
+  DRIFT_PROGRAM_ID,
+  getSpotMarketPublicKey,
+  getPerpMarketPublicKey,
+  getUserAccountPublicKey,
+  getUserStatsAccountPublicKey,
+  getStatePublicKey,
+  getInsuranceFundStakePublicKey,
+} = require('./pda');
+
+// Fetch the SpotMarkets for the given market indexes; returns { [marketIndex]: market }
+async function fetchSpotMarkets(conn, marketIndexes, programId = DRIFT_PROGRAM_ID) {
+  const indexes = [...new Set(marketIndexes)];
+  const pubkeys = indexes.map(i => getSpotMarketPublicKey(i, programId));
+  const infos = await conn.getMultipleAccountsInfo(pubkeys);
+
+  const markets = {};
+  infos.forEach((info, i) => {
+    if (!info) throw new Error(`SpotMarket ${indexes[i]} not found at ${pubkeys[i].toBase58()}`);
+    markets[indexes[i]] = decodeSpotMarket(info.data);
+  });
+  return markets;
+}
+
+// Fetch the PerpMarkets for the given market indexes; returns { [marketIndex]: market }
+async function fetchPerpMarkets(conn, marketIndexes, programId = DRIFT_PROGRAM_ID) {
+  const indexes = [...new Set(marketIndexes)];
+  const pubkeys = indexes.map(i => getPerpMarketPublicKey(i, programId));
+  const infos = await conn.getMultipleAccountsInfo(pubkeys);
+
+  const markets = {};
+  infos.forEach((info, i) => {
+    if (!info) throw new Error(`PerpMarket ${indexes[i]} not found at ${pubkeys[i].toBase58()}`);
+    markets[indexes[i]] = decodePerpMarket(info.data);
+  });
+  return markets;
+}
+
+// Fetch the authority's UserStats; null if the wallet never used Drift
+async function fetchUserStats(conn, authority, programId = DRIFT_PROGRAM_ID) {
+  const info = await conn.getAccountInfo(getUserStatsAccountPublicKey(authority, programId));
+  return info ? decodeUserStats(info.data) : null;
+}
+
+/**
+ * Every existing sub-account of an authority, as [{ subAccountId, pubkey, user }].
+ * Ids below numberOfSubAccountsCreated are probed because deleted
+ * sub-accounts leave gaps in the id sequence.
+ */
+async function fetchSubAccounts(conn, authority, programId = DRIFT_PROGRAM_ID) {
+  const stats = await fetchUserStats(conn, authority, programId);
+  if (!stats) return [];
+
+  const ids = [...Array(stats.numberOfSubAccountsCreated).keys()];
+  const pubkeys = ids.map(id => getUserAccountPublicKey(authority, id, programId));
+  const subAccounts = [];
+  for (let i = 0; i < ids.length; i += 100) {
+    const infos = await conn.getMultipleAccountsInfo(pubkeys.slice(i, i + 100));
+    infos.forEach((info, j) => {
+      if (!info) return;
+      subAccounts.push({
+        subAccountId: ids[i + j],
+        pubkey: pubkeys[i + j],
+        user: decodeUser(info.data),
+      });
+    });
+  }
+  return subAccounts;
+}
+
+/**
+ * Live oracle price of each decoded Spot or Perp market, as
+ * { [marketIndex]: { price, confidence, slot, publishTime, slotDelay, stale } }.
+ * Staleness is measured against the slot the oracle accounts were read at.
+ */
+async function fetchOraclePrices(conn, markets, options = {}) {
+  const entries = Object.values(markets).map(market => ({
+    marketIndex: market.marketIndex,
+    oracle: market.amm ? market.amm.oracle : market.oracle,
+    oracleSource: market.amm ? market.amm.oracleSource : market.oracleSource,
+  }));
+  const { context, value: infos } = await conn.getMultipleAccountsInfoAndContext(entries.map(e => e.oracle));
+
+  const prices = {};
+  entries.forEach((entry, i) => {
+    if (!infos[i] && entry.oracleSource !== 'QuoteAsset') {
+      throw new Error(`Oracle ${entry.oracle.toBase58()} of market ${entry.marketIndex} not found`);
+    }
+    const oraclePrice = decodeOraclePrice(infos[i] ? infos[i].data : null, entry.oracleSource);
+    prices[entry.marketIndex] = {
+      oracle: entry.oracle,
+      oracleSource: entry.oracleSource,
+      ...oraclePrice,
+      ...getOracleStaleness(oraclePrice, context.slot, options.maxDelaySlots),
+    };
+  });
+  return prices;
+}
+
+// { [marketIndex]: price } of fetchOraclePrices output, as calculateMargin's spotPrices / perpPrices
+function oraclePriceMap(oraclePrices) {
+  const prices = {};
+  for (const [marketIndex, oracle] of Object.entries(oraclePrices)) prices[marketIndex] = oracle.price;
+  return prices;
+}
+
+async function fetchState(conn, programId = DRIFT_PROGRAM_ID) {
+  const pubkey = getStatePublicKey(programId);
+  const info = await conn.getAccountInfo(pubkey);
+  if (!info) throw new Error(`Drift State not found at ${pubkey.toBase58()}`);
+  return decodeState(info.data);
+}
+
+/**
+ * The authority's InsuranceFundStake accounts as [{ pubkey, stake }], for the
+ * given spot market indexes or, by default, every spot market in State.
+ */
+async function fetchInsuranceFundStakes(conn, authority, marketIndexes, programId = DRIFT_PROGRAM_ID) {
+  const indexes = marketIndexes
+    || [...Array((await fetchState(conn, programId)).numberOfSpotMarkets).keys()];
+  const pubkeys = indexes.map(i => getInsuranceFundStakePublicKey(authority, i, programId));
+  const stakes = [];
+  for (let i = 0; i < pubkeys.length; i += 100) {
+    const infos = await conn.getMultipleAccountsInfo(pubkeys.slice(i, i + 100));
+    infos.forEach((info, j) => {
+      if (info) stakes.push({ pubkey: pubkeys[i + j], stake: decodeInsuranceFundStake(info.data) });
+    });
+  }
+  return stakes;
+}
+
+// Token amounts of SPL token accounts, in order
+async function fetchTokenAccountAmounts(conn, pubkeys) {
+  const infos = await conn.getMultipleAccountsInfo(pubkeys);
+  return infos.map((info, i) => {
+    if (!info) throw new Error(`Token account ${pubkeys[i].toBase58()} not found`);
+    return readTokenAccountAmount(info.data);
+  });
+}
+
+module.exports = {
+  fetchSpotMarkets,
+  fetchPerpMarkets,
+  fetchOraclePrices,
+  oraclePriceMap,
+  fetchUserStats,
+  fetchSubAccounts,
+  fetchState,
+  fetchInsuranceFundStakes,
+  fetchTokenAccountAmounts,
+};
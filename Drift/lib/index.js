@@ -0,0 +1,36 @@
+/**
+ * Drift account decoding library.
+ *
+ * Usage:
+ *   const { decodeUser, decodeSpotMarket, serialize } = require('./lib');
+ *   const user = decodeUser(accountInfo.data);
+ *   console.log(JSON.stringify(serialize(user), null, 2));
+ */
+
+module.exports = {
+  ...require('./readers'),
+  ...require('./constants'),
+  ...require('./accounts'),
+  ...require('./enums'),
+  ...require('./structs'),
+  ...require('./user'),
+  ...require('./userStats'),
+  ...require('./fees'),
+  ...require('./state'),
+  ...require('./insuranceFund'),
+  ...require('./spotMarket'),
+  ...require('./spotBalance'),
+  ...require('./interestRate'),
+  ...require('./perpMarket'),
+  ...require('./perpPosition'),
+  ...require('./margin'),
+  ...require('./whatIf'),
+  ...require('./oracle'),
+  ...require('./pda'),
+  ...require('./fetch'),
+  ...require('./offline'),
+  ...require('./batch'),
+  ...require('./monitor'),
+  ...require('./subscribe'),
+  ...require('./instructions'),
+};
@@ -0,0 +1,381 @@
+/**
+ * instructions.js
+ *
+ * Drift spot instructions built by hand, without @drift-labs/sdk:
+ *   initializeUserStats()                           once per authority
+ *   initializeUser(subAccountId, name)              once per sub-account
+ *   deposit(marketIndex, amount, reduceOnly)
+ *   withdraw(marketIndex, amount, reduceOnly)
+ * Instruction data is the Anchor discriminator sha256("global:<name>")[0..8]
+ * followed by the borsh-encoded arguments. deposit / withdraw also take the
+ * oracles, spot markets and perp markets of the user's open positions as
+ * remaining accounts (in that order), the same set the Drift SDK passes, so
+ * the program can run its margin checks.
+ *
+ * The builders return TransactionInstructions; buildSpotTransferTransaction
+ * fetches what they need and returns an unsigned Transaction that can be
+ * simulated or handed to a wallet for signing.
+ */
+
+const crypto = require('crypto');
+const BN = require('bn.js');
+const {
+  PublicKey,
+  SystemProgram,
+  SYSVAR_RENT_PUBKEY,
+  Transaction,
+  TransactionInstruction,
+} = require('@solana/web3.js');
+const { decodeUser } = require('./user');
+const { fetchSpotMarkets, fetchPerpMarkets, fetchState } = require('./fetch');
+const {
+  DRIFT_PROGRAM_ID,
+  getStatePublicKey,
+  getUserAccountPublicKey,
+  getUserStatsAccountPublicKey,
+  getDriftSignerPublicKey,
+} = require('./pda');
+
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBkf9Ss623VQ5DA');
+const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+const QUOTE_SPOT_MARKET_INDEX = 0;
+
+// Anchor instruction discriminator; `name` is the snake_case instruction name
+function instructionDiscriminator(name) {
+  return crypto.createHash('sha256').update(`global:${name}`).digest().subarray(0, 8);
+}
+
+// Sub-account names are 32 utf8 bytes padded with spaces
+function encodeName(name) {
+  const bytes = Buffer.from(name, 'utf8');
+  if (bytes.length > 32) throw new Error(`Name "${name}" is longer than 32 bytes`);
+  return Buffer.concat([bytes, Buffer.alloc(32 - bytes.length, ' ')]);
+}
+
+function defaultSubAccountName(subAccountId) {
+  return subAccountId === 0 ? 'Main Account' : `Subaccount ${subAccountId + 1}`;
+}
+
+// SpotMarket.tokenProgram: 0 = SPL Token, 1 = Token-2022
+function getTokenProgramForSpotMarket(spotMarket) {
+  return spotMarket.tokenProgram === 1 ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+}
+
+function getAssociatedTokenAddress(mint, owner, tokenProgram = TOKEN_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [new PublicKey(owner).toBuffer(), tokenProgram.toBuffer(), new PublicKey(mint).toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  )[0];
+}
+
+// Associated token program CreateIdempotent (instruction 1): no-op if the account exists
+function createAssociatedTokenAccountIdempotentInstruction(payer, owner, mint, tokenProgram = TOKEN_PROGRAM_ID) {
+  return new TransactionInstruction({
+    programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+    keys: [
+      { pubkey: new PublicKey(payer), isSigner: true, isWritable: true },
+      { pubkey: getAssociatedTokenAddress(mint, owner, tokenProgram), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(owner), isSigner: false, isWritable: false },
+      { pubkey: new PublicKey(mint), isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: tokenProgram, isSigner: false, isWritable: false },
+    ],
+    data: Buffer.from([1]),
+  });
+}
+
+/**
+ * Remaining accounts for a user instruction, ordered oracles, spot markets,
+ * perp markets. Every market the user holds a position in is included
+ * read-only, plus
+ *   writableSpotMarketIndexes  spot markets the instruction moves tokens in
+ *   readableSpotMarketIndexes  extra spot markets the program reads
+ * `user` may be null for a sub-account that does not exist yet.
+ * spotMarkets / perpMarkets are decoded markets keyed by market index.
+ */
+function getRemainingAccounts({
+  user,
+  spotMarkets,
+  perpMarkets = {},
+  writableSpotMarketIndexes = [],
+  readableSpotMarketIndexes = [],
+}) {
+  const oracles = new Map();
+  const spots = new Map();
+  const perps = new Map();
+
+  const addSpotMarket = (marketIndex, isWritable) => {
+    const market = spotMarkets[marketIndex];
+    if (!market) throw new Error(`SpotMarket ${marketIndex} is needed but was not loaded`);
+    const existing = spots.get(marketIndex);
+    spots.set(marketIndex, { pubkey: market.pubkey, isSigner: false, isWritable: isWritable || Boolean(existing && existing.isWritable) });
+    if (!market.oracle.equals(PublicKey.default)) {
+      oracles.set(market.oracle.toBase58(), { pubkey: market.oracle, isSigner: false, isWritable: false });
+    }
+  };
+
+  if (user) {
+    for (const position of user.spotPositions) {
+      addSpotMarket(position.marketIndex, false);
+      // Open spot orders are margined against the quote market
+      if (!position.openBids.isZero() || !position.openAsks.isZero()) addSpotMarket(QUOTE_SPOT_MARKET_INDEX, false);
+    }
+    for (const position of user.perpPositions) {
+      const market = perpMarkets[position.marketIndex];
+      if (!market) throw new Error(`PerpMarket ${position.marketIndex} is needed but was not loaded`);
+      perps.set(position.marketIndex, { pubkey: market.pubkey, isSigner: false, isWritable: false });
+      oracles.set(market.amm.oracle.toBase58(), { pubkey: market.amm.oracle, isSigner: false, isWritable: false });
+      addSpotMarket(market.quoteSpotMarketIndex, false);
+    }
+  }
+  readableSpotMarketIndexes.forEach(i => addSpotMarket(i, false));
+  writableSpotMarketIndexes.forEach(i => addSpotMarket(i, true));
+
+  return [...oracles.values(), ...spots.values(), ...perps.values()];
+}
+
+// Borsh args shared by deposit and withdraw: market_index u16, amount u64, reduce_only bool
+function encodeSpotTransferArgs(name, marketIndex, amount, reduceOnly) {
+  const args = Buffer.alloc(11);
+  args.writeUInt16LE(marketIndex, 0);
+  new BN(amount).toArrayLike(Buffer, 'le', 8).copy(args, 2);
+  args.writeUInt8(reduceOnly ? 1 : 0, 10);
+  return Buffer.concat([instructionDiscriminator(name), args]);
+}
+
+function spotTransferRemainingAccounts(params, extraReadable) {
+  const spotMarket = params.spotMarkets[params.marketIndex];
+  const remaining = getRemainingAccounts({
+    user: params.user,
+    spotMarkets: params.spotMarkets,
+    perpMarkets: params.perpMarkets,
+    writableSpotMarketIndexes: [params.marketIndex],
+    readableSpotMarketIndexes: extraReadable,
+  });
+  // Token-2022 transfers need the mint (transfer_checked)
+  if (spotMarket.tokenProgram === 1) {
+    remaining.push({ pubkey: spotMarket.mint, isSigner: false, isWritable: false });
+  }
+  return remaining;
+}
+
+/**
+ * deposit(marketIndex, amount, reduceOnly) from `userTokenAccount`
+ * (default: the authority's associated token account for the market mint).
+ *   params: { authority, subAccountId, marketIndex, amount, reduceOnly,
+ *             userTokenAccount, user, spotMarkets, perpMarkets, programId }
+ * amount is in the market's token precision (10^decimals).
+ */
+function createDepositInstruction(params) {
+  const { authority, subAccountId = 0, marketIndex, amount, reduceOnly = false, programId = DRIFT_PROGRAM_ID } = params;
+  const spotMarket = params.spotMarkets[marketIndex];
+  if (!spotMarket) throw new Error(`SpotMarket ${marketIndex} is needed but was not loaded`);
+  const tokenProgram = getTokenProgramForSpotMarket(spotMarket);
+  const userTokenAccount = params.userTokenAccount
+    || getAssociatedTokenAddress(spotMarket.mint, authority, tokenProgram);
+
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: getStatePublicKey(programId), isSigner: false, isWritable: false },
+      { pubkey: getUserAccountPublicKey(authority, subAccountId, programId), isSigner: false, isWritable: true },
+      { pubkey: getUserStatsAccountPublicKey(authority, programId), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(authority), isSigner: true, isWritable: false },
+      { pubkey: spotMarket.vault, isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(userTokenAccount), isSigner: false, isWritable: true },
+      { pubkey: tokenProgram, isSigner: false, isWritable: false },
+      ...spotTransferRemainingAccounts(params, []),
+    ],
+    data: encodeSpotTransferArgs('deposit', marketIndex, amount, reduceOnly),
+  });
+}
+
+/**
+ * withdraw(marketIndex, amount, reduceOnly) into `userTokenAccount`; same
+ * params as createDepositInstruction. A withdraw larger than the deposit
+ * opens a borrow unless reduceOnly is set.
+ */
+function createWithdrawInstruction(params) {
+  const { authority, subAccountId = 0, marketIndex, amount, reduceOnly = false, programId = DRIFT_PROGRAM_ID } = params;
+  const spotMarket = params.spotMarkets[marketIndex];
+  if (!spotMarket) throw new Error(`SpotMarket ${marketIndex} is needed but was not loaded`);
+  const tokenProgram = getTokenProgramForSpotMarket(spotMarket);
+  const userTokenAccount = params.userTokenAccount
+    || getAssociatedTokenAddress(spotMarket.mint, authority, tokenProgram);
+
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: getStatePublicKey(programId), isSigner: false, isWritable: false },
+      { pubkey: getUserAccountPublicKey(authority, subAccountId, programId), isSigner: false, isWritable: true },
+      { pubkey: getUserStatsAccountPublicKey(authority, programId), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(authority), isSigner: true, isWritable: false },
+      { pubkey: spotMarket.vault, isSigner: false, isWritable: true },
+      { pubkey: getDriftSignerPublicKey(programId), isSigner: false, isWritable: false },
+      { pubkey: new PublicKey(userTokenAccount), isSigner: false, isWritable: true },
+      { pubkey: tokenProgram, isSigner: false, isWritable: false },
+      // The withdraw margin check always reads the quote market
+      ...spotTransferRemainingAccounts(params, [QUOTE_SPOT_MARKET_INDEX]),
+    ],
+    data: encodeSpotTransferArgs('withdraw', marketIndex, amount, reduceOnly),
+  });
+}
+
+// initializeUserStats(); payer defaults to the authority
+function createInitializeUserStatsInstruction({ authority, payer = authority, programId = DRIFT_PROGRAM_ID }) {
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: getUserStatsAccountPublicKey(authority, programId), isSigner: false, isWritable: true },
+      { pubkey: getStatePublicKey(programId), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(authority), isSigner: true, isWritable: false },
+      { pubkey: new PublicKey(payer), isSigner: true, isWritable: true },
+      { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+    ],
+    data: instructionDiscriminator('initialize_user_stats'),
+  });
+}
+
+/**
+ * initializeUser(subAccountId, name).
+ *   referrer       optional referrer authority; its User (sub-account 0) and
+ *                  UserStats are passed as remaining accounts
+ *   whitelistMint  State.whitelistMint; when set, the authority's token
+ *                  account for it must be passed as well
+ */
+function createInitializeUserInstruction({
+  authority,
+  payer = authority,
+  subAccountId = 0,
+  name = defaultSubAccountName(subAccountId),
+  referrer,
+  whitelistMint,
+  programId = DRIFT_PROGRAM_ID,
+}) {
+  const remaining = [];
+  if (referrer) {
+    remaining.push(
+      { pubkey: getUserAccountPublicKey(referrer, 0, programId), isSigner: false, isWritable: true },
+      { pubkey: getUserStatsAccountPublicKey(referrer, programId), isSigner: false, isWritable: true }
+    );
+  }
+  if (whitelistMint && !new PublicKey(whitelistMint).equals(PublicKey.default)) {
+    remaining.push({ pubkey: getAssociatedTokenAddress(whitelistMint, authority), isSigner: false, isWritable: false });
+  }
+
+  const args = Buffer.alloc(2);
+  args.writeUInt16LE(subAccountId);
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: getUserAccountPublicKey(authority, subAccountId, programId), isSigner: false, isWritable: true },
+      { pubkey: getUserStatsAccountPublicKey(authority, programId), isSigner: false, isWritable: true },
+      { pubkey: getStatePublicKey(programId), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(authority), isSigner: true, isWritable: false },
+      { pubkey: new PublicKey(payer), isSigner: true, isWritable: true },
+      { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      ...remaining,
+    ],
+    data: Buffer.concat([instructionDiscriminator('initialize_user'), args, encodeName(name)]),
+  });
+}
+
+/**
+ * Unsigned deposit or withdraw transaction for `authority`, with everything
+ * it needs fetched from `conn`:
+ *   options: { action: 'deposit' | 'withdraw', authority, marketIndex,
+ *              amount, subAccountId, reduceOnly, userTokenAccount, payer,
+ *              referrer, name, recentBlockhash, programId }
+ * A deposit into a sub-account that does not exist yet is preceded by
+ * initializeUserStats / initializeUser as needed; a withdraw to the default
+ * associated token account creates it first (idempotent).
+ * Resolves to { transaction, userAccount, initialized: [...instruction names] }.
+ */
+async function buildSpotTransferTransaction(conn, options) {
+  const { action, authority, marketIndex, amount, subAccountId = 0, programId = DRIFT_PROGRAM_ID } = options;
+  if (action !== 'deposit' && action !== 'withdraw') throw new Error(`Unknown action: ${action}`);
+  const payer = new PublicKey(options.payer || authority);
+
+  const userAccount = getUserAccountPublicKey(authority, subAccountId, programId);
+  const userStatsAccount = getUserStatsAccountPublicKey(authority, programId);
+  const [userInfo, userStatsInfo] = await conn.getMultipleAccountsInfo([userAccount, userStatsAccount]);
+  const user = userInfo ? decodeUser(userInfo.data) : null;
+  if (!user && action === 'withdraw') {
+    throw new Error(`User account ${userAccount.toBase58()} does not exist; nothing to withdraw`);
+  }
+
+  const spotIndexes = [marketIndex, QUOTE_SPOT_MARKET_INDEX];
+  const perpMarkets = user ? await fetchPerpMarkets(conn, user.perpPositions.map(p => p.marketIndex), programId) : {};
+  if (user) {
+    spotIndexes.push(...user.spotPositions.map(p => p.marketIndex));
+    spotIndexes.push(...Object.values(perpMarkets).map(m => m.quoteSpotMarketIndex));
+  }
+  const spotMarkets = await fetchSpotMarkets(conn, spotIndexes, programId);
+
+  const instructions = [];
+  const initialized = [];
+  if (!userStatsInfo) {
+    instructions.push(createInitializeUserStatsInstruction({ authority, payer, programId }));
+    initialized.push('initializeUserStats');
+  }
+  if (!user) {
+    const { whitelistMint } = await fetchState(conn, programId);
+    instructions.push(createInitializeUserInstruction({
+      authority, payer, subAccountId, name: options.name, referrer: options.referrer, whitelistMint, programId,
+    }));
+    initialized.push('initializeUser');
+  }
+
+  const params = {
+    authority, subAccountId, marketIndex, amount, reduceOnly: options.reduceOnly,
+    userTokenAccount: options.userTokenAccount, user, spotMarkets, perpMarkets, programId,
+  };
+  if (action === 'deposit') {
+    instructions.push(createDepositInstruction(params));
+  } else {
+    const spotMarket = spotMarkets[marketIndex];
+    if (!options.userTokenAccount) {
+      instructions.push(createAssociatedTokenAccountIdempotentInstruction(
+        payer, authority, spotMarket.mint, getTokenProgramForSpotMarket(spotMarket)
+      ));
+    }
+    instructions.push(createWithdrawInstruction(params));
+  }
+
+  let { recentBlockhash } = options;
+  if (!recentBlockhash) {
+    if (typeof conn.getLatestBlockhash !== 'function') {
+      throw new Error('A recent blockhash is needed to build the transaction; pass recentBlockhash');
+    }
+    recentBlockhash = (await conn.getLatestBlockhash()).blockhash;
+  }
+  const transaction = new Transaction({ feePayer: payer, recentBlockhash }).add(...instructions);
+  return { transaction, userAccount, initialized };
+}
+
+// Wire format of an unsigned transaction (base64), for simulation or signing elsewhere
+function serializeUnsignedTransaction(transaction) {
+  return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+}
+
+module.exports = {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  QUOTE_SPOT_MARKET_INDEX,
+  instructionDiscriminator,
+  encodeName,
+  getTokenProgramForSpotMarket,
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  getRemainingAccounts,
+  createDepositInstruction,
+  createWithdrawInstruction,
+  createInitializeUserStatsInstruction,
+  createInitializeUserInstruction,
+  buildSpotTransferTransaction,
+  serializeUnsignedTransaction,
+};
@@ -0,0 +1,147 @@
+/**
+ * interestRate.js
+ *
+ * Lending rates of a decoded SpotMarket, following the Drift SDK:
+ *   utilization = borrow tokens / deposit tokens
+ *   borrow rate : linear 0 -> optimalBorrowRate up to optimalUtilization, then
+ *                 the extra (maxBorrowRate - optimalBorrowRate) spread over fixed
+ *                 utilization segments; floored at minBorrowRate
+ *   deposit rate = borrow rate × utilization × (1 - insurance fund totalFactor)
+ *
+ * Utilization and rates are SPOT_UTILIZATION / SPOT_RATE precision (1e6, 1e6 = 100%).
+ * Rates are APRs accrued continuously, so APY = e^APR - 1.
+ */
+
+const BN = require('bn.js');
+const { getTokenAmount, formatTokenAmount } = require('./spotBalance');
+
+const UTILIZATION_PRECISION = new BN(1000000);
+const RATE_PRECISION = new BN(1000000);
+const PERCENTAGE_PRECISION = new BN(1000000);
+const ONE_YEAR = 31536000;
+
+// [segment end utilization, share of the extra rate in 1/1000]
+const RATE_SEGMENTS = [
+  [850000, 50],
+  [900000, 100],
+  [950000, 150],
+  [990000, 200],
+  [995000, 250],
+  [1000000, 250],
+];
+
+function calculateUtilization(spotMarket) {
+  const deposits = getTokenAmount(spotMarket.depositBalance, spotMarket, 'DEPOSIT');
+  const borrows = getTokenAmount(spotMarket.borrowBalance, spotMarket, 'BORROW');
+  if (deposits.isZero()) return borrows.isZero() ? new BN(0) : UTILIZATION_PRECISION.clone();
+  return borrows.mul(UTILIZATION_PRECISION).div(deposits);
+}
+
+function calculateBorrowRate(spotMarket, utilization = calculateUtilization(spotMarket)) {
+  const optimalUtil = new BN(spotMarket.optimalUtilization);
+  const optimalRate = new BN(spotMarket.optimalBorrowRate);
+  const maxRate = new BN(spotMarket.maxBorrowRate);
+  // minBorrowRate is stored in 0.5% steps
+  const minRate = new BN(spotMarket.minBorrowRate).mul(PERCENTAGE_PRECISION.divn(200));
+
+  let rate;
+  if (utilization.lte(optimalUtil)) {
+    rate = optimalUtil.isZero() ? new BN(0) : utilization.mul(optimalRate).div(optimalUtil);
+  } else {
+    const totalExtraRate = maxRate.sub(optimalRate);
+    rate = optimalRate.clone();
+    let prevUtil = optimalUtil;
+    for (const [end, weight] of RATE_SEGMENTS) {
+      const segmentEnd = new BN(end);
+      if (segmentEnd.lte(prevUtil)) continue;
+      const segmentRate = totalExtraRate.muln(weight).divn(1000);
+      if (utilization.lte(segmentEnd)) {
+        rate.iadd(segmentRate.mul(utilization.sub(prevUtil)).div(segmentEnd.sub(prevUtil)));
+        break;
+      }
+      rate.iadd(segmentRate);
+      prevUtil = segmentEnd;
+    }
+  }
+  return BN.max(minRate, rate);
+}
+
+function calculateDepositRate(spotMarket, utilization = calculateUtilization(spotMarket)) {
+  const borrowRate = calculateBorrowRate(spotMarket, utilization);
+  return borrowRate
+    .mul(PERCENTAGE_PRECISION.subn(spotMarket.insuranceFund.totalFactor))
+    .mul(utilization)
+    .div(UTILIZATION_PRECISION)
+    .div(PERCENTAGE_PRECISION);
+}
+
+// APR (RATE_PRECISION) -> APY as a fraction, compounding continuously
+function rateToApy(rate) {
+  return Math.expm1(rate.toNumber() / RATE_PRECISION.toNumber());
+}
+
+// Utilization, borrow / deposit APR and APY of a market
+function getMarketRates(spotMarket) {
+  const utilization = calculateUtilization(spotMarket);
+  const borrowRate = calculateBorrowRate(spotMarket, utilization);
+  const depositRate = calculateDepositRate(spotMarket, utilization);
+  const pct = value => `${(value * 100).toFixed(4)}%`;
+  return {
+    marketIndex: spotMarket.marketIndex,
+    name: spotMarket.name,
+    utilization,
+    borrowRate,
+    depositRate,
+    formatted: {
+      utilization: pct(utilization.toNumber() / UTILIZATION_PRECISION.toNumber()),
+      borrowApr: pct(borrowRate.toNumber() / RATE_PRECISION.toNumber()),
+      borrowApy: pct(rateToApy(borrowRate)),
+      depositApr: pct(depositRate.toNumber() / RATE_PRECISION.toNumber()),
+      depositApy: pct(rateToApy(depositRate)),
+    },
+  };
+}
+
+/**
+ * Token amount after `seconds` at a constant `rate`, assuming today's rate
+ * holds for the whole horizon. Deposits grow at the deposit rate, borrows
+ * at the borrow rate.
+ */
+function projectBalance(tokenAmount, rate, seconds) {
+  const growth = Math.exp((rate.toNumber() / RATE_PRECISION.toNumber()) * (seconds / ONE_YEAR));
+  const scale = 1e12;
+  return new BN(tokenAmount).mul(new BN(Math.round(growth * scale))).div(new BN(scale));
+}
+
+// Projected balance of one decoded spot position over `seconds`
+function projectSpotPosition(position, spotMarket, seconds) {
+  const rates = getMarketRates(spotMarket);
+  const isBorrow = position.balanceType === 'BORROW';
+  const tokenAmount = getTokenAmount(position.scaledBalance, spotMarket, position.balanceType);
+  const projected = projectBalance(tokenAmount, isBorrow ? rates.borrowRate : rates.depositRate, seconds);
+  return {
+    marketIndex: position.marketIndex,
+    balanceType: position.balanceType,
+    horizonDays: seconds / 86400,
+    tokenAmount,
+    projectedTokenAmount: projected,
+    interest: projected.sub(tokenAmount),
+    formatted: {
+      balance: formatTokenAmount(tokenAmount, spotMarket.decimals),
+      projectedBalance: formatTokenAmount(projected, spotMarket.decimals),
+      interest: formatTokenAmount(projected.sub(tokenAmount), spotMarket.decimals),
+      rate: isBorrow ? rates.formatted.borrowApy : rates.formatted.depositApy,
+    },
+  };
+}
+
+module.exports = {
+  ONE_YEAR,
+  calculateUtilization,
+  calculateBorrowRate,
+  calculateDepositRate,
+  rateToApy,
+  getMarketRates,
+  projectBalance,
+  projectSpotPosition,
+};
@@ -0,0 +1,284 @@
+/**
+ * margin.js
+ *
+ * Cross-margin health of a decoded Drift User, following the Drift SDK:
+ *   total collateral   = Σ deposit value × asset weight + perp PnL
+ *                        (positive PnL × unrealized PnL asset weight)
+ *   margin requirement = Σ borrow value × liability weight
+ *                        + Σ perp base value × margin ratio
+ *   free collateral    = total collateral - margin requirement
+ *   health             = 100 × (1 - maintenance requirement / maintenance collateral)
+ *
+ * Weights and margin ratios include the IMF size premium / discount. Each
+ * figure is computed for both the Initial and Maintenance margin categories.
+ * Values are QUOTE_PRECISION (1e6), prices PRICE_PRECISION (1e6).
+ */
+
+const BN = require('bn.js');
+const {
+  AMM_RESERVE_PRECISION,
+  SPOT_WEIGHT_PRECISION,
+  SPOT_IMF_PRECISION,
+  MARGIN_PRECISION,
+} = require('./constants');
+const { getTokenAmount, formatTokenAmount, parseTokenAmount } = require('./spotBalance');
+const {
+  calculateBaseAssetValue,
+  calculateUnrealizedPnl,
+  calculateUnsettledFundingPnl,
+} = require('./perpPosition');
+
+const QUOTE_SPOT_MARKET_INDEX = 0;
+const PRICE_DECIMALS = 6;
+const CATEGORIES = ['initial', 'maintenance'];
+
+// Integer square root (Newton's method)
+function sqrtBN(value) {
+  if (value.ltn(2)) return value.clone();
+  let x0 = value;
+  let x1 = value.shrn(1);
+  while (x1.lt(x0)) {
+    x0 = x1;
+    x1 = x0.add(value.div(x0)).shrn(1);
+  }
+  return x0;
+}
+
+// size is AMM_RESERVE_PRECISION; weight is returned in the precision it was given
+function calculateSizePremiumLiabilityWeight(size, imfFactor, liabilityWeight, precision) {
+  if (imfFactor === 0) return new BN(liabilityWeight);
+  const sizeSqrt = sqrtBN(size.abs().muln(10).addn(1));
+  const weight = new BN(liabilityWeight);
+  const numerator = weight.sub(weight.divn(5));
+  const denom = new BN(100000).mul(SPOT_IMF_PRECISION).div(precision);
+  return BN.max(weight, numerator.add(sizeSqrt.muln(imfFactor).div(denom)));
+}
+
+function calculateSizeDiscountAssetWeight(size, imfFactor, assetWeight) {
+  if (imfFactor === 0) return new BN(assetWeight);
+  const sizeSqrt = sqrtBN(size.abs().muln(10).addn(1));
+  const imfNumerator = SPOT_IMF_PRECISION.add(SPOT_IMF_PRECISION.divn(10));
+  const discounted = imfNumerator.mul(SPOT_WEIGHT_PRECISION)
+    .div(SPOT_IMF_PRECISION.add(sizeSqrt.muln(imfFactor).divn(100000)));
+  return BN.min(new BN(assetWeight), discounted);
+}
+
+// Spot token amount expressed in AMM_RESERVE_PRECISION, as the IMF math expects
+function toReservePrecision(tokenAmount, decimals) {
+  return tokenAmount.mul(AMM_RESERVE_PRECISION).div(new BN(10).pow(new BN(decimals)));
+}
+
+function getSpotAssetWeight(market, tokenAmount, category) {
+  const weight = category === 'initial' ? market.initialAssetWeight : market.maintenanceAssetWeight;
+  return calculateSizeDiscountAssetWeight(toReservePrecision(tokenAmount, market.decimals), market.imfFactor, weight);
+}
+
+function getSpotLiabilityWeight(market, tokenAmount, category) {
+  const weight = category === 'initial' ? market.initialLiabilityWeight : market.maintenanceLiabilityWeight;
+  return calculateSizePremiumLiabilityWeight(
+    toReservePrecision(tokenAmount, market.decimals), market.imfFactor, weight, SPOT_WEIGHT_PRECISION
+  );
+}
+
+function getPerpMarginRatio(market, baseAssetAmount, category) {
+  const ratio = category === 'initial' ? market.marginRatioInitial : market.marginRatioMaintenance;
+  return calculateSizePremiumLiabilityWeight(baseAssetAmount, market.imfFactor, ratio, MARGIN_PRECISION);
+}
+
+// Oracle price from the override map, else the last price Drift recorded on the market
+function getMarketPrice(market, prices, marketIndex) {
+  if (prices && prices[marketIndex] !== undefined) return new BN(prices[marketIndex]);
+  const oracleData = market.historicalOracleData || market.amm.historicalOracleData;
+  return oracleData.lastOraclePrice;
+}
+
+// "1=150.25" -> { marketIndex: 1, price: BN(150250000) } (PRICE_PRECISION), an
+// entry of the spotPrices / perpPrices overrides taken by calculateMargin
+function parsePriceOverride(text) {
+  if (!text) throw new Error('Missing price override; expected <marketIndex>=<price>');
+  const match = /^(\d+)=(.*)$/.exec(String(text));
+  if (!match) throw new Error(`Invalid price override ${text}; expected <marketIndex>=<price>`);
+  let price;
+  try {
+    price = parseTokenAmount(match[2], PRICE_DECIMALS);
+  } catch (err) {
+    price = null;
+  }
+  if (!price || price.isZero()) {
+    throw new Error(`Invalid price ${match[2]} in ${text}; expected a positive number with at most ${PRICE_DECIMALS} decimals`);
+  }
+  return { marketIndex: Number(match[1]), price };
+}
+
+// Price at which `freeCollateral` is used up when collateral moves by
+// unitsNumerator / unitsDenominator per unit of price (direction: +1 long/deposit, -1 short/borrow)
+function solveLiquidationPrice(price, freeCollateral, unitsNumerator, unitsDenominator, direction) {
+  if (unitsNumerator.isZero()) return null;
+  const delta = freeCollateral.mul(unitsDenominator).div(unitsNumerator);
+  const liquidationPrice = direction > 0 ? price.sub(delta) : price.add(delta);
+  return liquidationPrice.lten(0) ? null : liquidationPrice;
+}
+
+/**
+ * Margin and health of `user`.
+ *   spotMarkets / perpMarkets   { [marketIndex]: decoded market }
+ *   options.spotPrices / perpPrices  optional { [marketIndex]: price (1e6) }
+ */
+function calculateMargin(user, spotMarkets, perpMarkets, options = {}) {
+  const zero = () => ({ initial: new BN(0), maintenance: new BN(0) });
+  const totalCollateral = zero();
+  const marginRequirement = zero();
+
+  const spotPositions = user.spotPositions.map(position => {
+    const market = spotMarkets[position.marketIndex];
+    if (!market) throw new Error(`SpotMarket ${position.marketIndex} not provided`);
+    const isBorrow = position.balanceType === 'BORROW';
+    const tokenAmount = getTokenAmount(position.scaledBalance, market, position.balanceType);
+    const price = getMarketPrice(market, options.spotPrices, position.marketIndex);
+    const value = tokenAmount.mul(price).div(new BN(10).pow(new BN(market.decimals)));
+
+    const weights = {};
+    const weightedValues = {};
+    for (const category of CATEGORIES) {
+      weights[category] = isBorrow
+        ? getSpotLiabilityWeight(market, tokenAmount, category)
+        : getSpotAssetWeight(market, tokenAmount, category);
+      weightedValues[category] = value.mul(weights[category]).div(SPOT_WEIGHT_PRECISION);
+      (isBorrow ? marginRequirement : totalCollateral)[category].iadd(weightedValues[category]);
+    }
+    return { position, market, tokenAmount, price, value, weights, weightedValues };
+  });
+
+  const perpPositions = user.perpPositions.map(position => {
+    const market = perpMarkets[position.marketIndex];
+    if (!market) throw new Error(`PerpMarket ${position.marketIndex} not provided`);
+    const price = getMarketPrice(market, options.perpPrices, position.marketIndex);
+    const baseAssetValue = calculateBaseAssetValue(position.baseAssetAmount, price);
+    const unrealizedPnl = calculateUnrealizedPnl(position, price)
+      .add(calculateUnsettledFundingPnl(market, position));
+
+    const marginRatios = {};
+    const marginRequirements = {};
+    for (const category of CATEGORIES) {
+      marginRatios[category] = getPerpMarginRatio(market, position.baseAssetAmount, category);
+      marginRequirements[category] = baseAssetValue.mul(marginRatios[category]).div(MARGIN_PRECISION);
+      marginRequirement[category].iadd(marginRequirements[category]);
+
+      const pnlWeight = category === 'initial'
+        ? market.unrealizedPnlInitialAssetWeight
+        : market.unrealizedPnlMaintenanceAssetWeight;
+      totalCollateral[category].iadd(unrealizedPnl.isNeg()
+        ? unrealizedPnl
+        : unrealizedPnl.muln(pnlWeight).div(SPOT_WEIGHT_PRECISION));
+    }
+    return { position, market, price, baseAssetValue, unrealizedPnl, marginRatios, marginRequirements };
+  });
+
+  const freeCollateral = {
+    initial: totalCollateral.initial.sub(marginRequirement.initial),
+    maintenance: totalCollateral.maintenance.sub(marginRequirement.maintenance),
+  };
+  const health = calculateHealth(totalCollateral.maintenance, marginRequirement.maintenance);
+  const maintenanceFree = freeCollateral.maintenance;
+
+  return {
+    totalCollateral,
+    marginRequirement,
+    freeCollateral: {
+      initial: BN.max(freeCollateral.initial, new BN(0)),
+      maintenance: BN.max(maintenanceFree, new BN(0)),
+    },
+    health,
+    spotPositions: spotPositions.map(s => {
+      const isBorrow = s.position.balanceType === 'BORROW';
+      const decimalsBase = new BN(10).pow(new BN(s.market.decimals));
+      // Collateral moves by tokenAmount / 10^decimals × weight per unit of price
+      const liquidationPrice = s.position.marketIndex === QUOTE_SPOT_MARKET_INDEX
+        ? null
+        : solveLiquidationPrice(
+          s.price, maintenanceFree,
+          s.tokenAmount.mul(s.weights.maintenance), decimalsBase.mul(SPOT_WEIGHT_PRECISION),
+          isBorrow ? -1 : 1
+        );
+      return {
+        marketIndex: s.position.marketIndex,
+        balanceType: s.position.balanceType,
+        tokenAmount: s.tokenAmount,
+        price: s.price,
+        value: s.value,
+        weights: s.weights,
+        weightedValues: s.weightedValues,
+        liquidationPrice,
+      };
+    }),
+    perpPositions: perpPositions.map(p => {
+      const isShort = p.position.baseAssetAmount.isNeg();
+      // Long: PnL gains 1 and requirement gains marginRatio per unit; short the reverse
+      const perUnit = isShort
+        ? MARGIN_PRECISION.add(p.marginRatios.maintenance)
+        : MARGIN_PRECISION.sub(p.marginRatios.maintenance);
+      const liquidationPrice = p.position.baseAssetAmount.isZero()
+        ? null
+        : solveLiquidationPrice(
+          p.price, maintenanceFree,
+          p.position.baseAssetAmount.abs().mul(perUnit), AMM_RESERVE_PRECISION.mul(MARGIN_PRECISION),
+          isShort ? -1 : 1
+        );
+      return {
+        marketIndex: p.position.marketIndex,
+        baseAssetAmount: p.position.baseAssetAmount,
+        price: p.price,
+        baseAssetValue: p.baseAssetValue,
+        unrealizedPnl: p.unrealizedPnl,
+        marginRatios: p.marginRatios,
+        marginRequirements: p.marginRequirements,
+        liquidationPrice,
+      };
+    }),
+  };
+}
+
+// 0-100 in steps of 0.01; 100 when there is no maintenance requirement. The
+// requirement / collateral ratio is rounded down, so health only reaches 0
+// once the requirement is met or exceeded (thresholds compare this value)
+function calculateHealth(maintenanceCollateral, maintenanceRequirement) {
+  if (maintenanceRequirement.isZero() && !maintenanceCollateral.isNeg()) return 100;
+  if (maintenanceCollateral.lten(0)) return 0;
+  const ratioBps = maintenanceRequirement.muln(10000).div(maintenanceCollateral).toNumber();
+  return Math.max(0, 10000 - ratioBps) / 100;
+}
+
+// Health for display, rounded to a whole percent unless that would hide a
+// non-zero health below 1%
+function formatHealth(health) {
+  return `${health > 0 && health < 1 ? health.toFixed(2) : Math.round(health)}%`;
+}
+
+// Human-readable summary of calculateMargin's totals, each named after its
+// margin category (health is always maintenance)
+function formatMargin(margin) {
+  const fmt = value => formatTokenAmount(value, 6);
+  return {
+    initialTotalCollateral: fmt(margin.totalCollateral.initial),
+    initialMarginRequirement: fmt(margin.marginRequirement.initial),
+    initialFreeCollateral: fmt(margin.freeCollateral.initial),
+    maintenanceTotalCollateral: fmt(margin.totalCollateral.maintenance),
+    maintenanceMarginRequirement: fmt(margin.marginRequirement.maintenance),
+    maintenanceFreeCollateral: fmt(margin.freeCollateral.maintenance),
+    health: formatHealth(margin.health),
+  };
+}
+
+module.exports = {
+  sqrtBN,
+  calculateSizePremiumLiabilityWeight,
+  calculateSizeDiscountAssetWeight,
+  getSpotAssetWeight,
+  getSpotLiabilityWeight,
+  getPerpMarginRatio,
+  parsePriceOverride,
+  calculateMargin,
+  calculateHealth,
+  formatHealth,
+  formatMargin,
+};
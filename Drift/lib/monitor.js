@@ -0,0 +1,306 @@
+/**
+ * monitor.js
+ *
+ * Liquidation-risk monitoring over a watchlist of Drift User PDAs. Each poll
+ * fetches the users in chunks (./batch.js), fetches their spot and perp
+ * markets and live oracle prices once, and computes health with
+ * ./margin.js. Every account then moves through risk levels:
+ *   ok -> warning -> critical -> liquidatable   (health at or below a threshold)
+ * Escalation is immediate; recovery to a safer level needs health above that
+ * level's threshold plus `hysteresis` points, so an account hovering around
+ * a threshold raises one alert instead of one per poll. An alert is only sent
+ * when an account changes level (including to and from 'error' when it can
+ * no longer be fetched or decoded). A market or oracle that cannot be
+ * fetched only puts the accounts using it in 'error'; a poll that fails
+ * outright puts every account there, so an outage is never silent.
+ *
+ * Alerts are JSON objects delivered to sinks: stdout (one line each), a file
+ * (appended as JSON lines) or a webhook (HTTP POST).
+ */
+
+const fs = require('fs');
+const BN = require('bn.js');
+const { calculateMargin } = require('./margin');
+const { formatTokenAmount } = require('./spotBalance');
+const {
+  fetchSpotMarkets,
+  fetchPerpMarkets,
+  fetchOraclePrices,
+  oraclePriceMap,
+} = require('./fetch');
+const { fetchUsersInChunks, MAX_MULTIPLE_ACCOUNTS } = require('./batch');
+const { DRIFT_PROGRAM_ID } = require('./pda');
+
+// Health (0-100) at or below which an account enters each level, least severe first
+const DEFAULT_THRESHOLDS = { warning: 30, critical: 15, liquidatable: 0 };
+const DEFAULT_HYSTERESIS = 5;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Per-account level state machine.
+ *   thresholds  { [level]: health }, default DEFAULT_THRESHOLDS
+ *   hysteresis  health points above a threshold needed to leave its level
+ * update(key, health) returns { level, previousLevel } when the level
+ * changed, else null. health === null marks the account as 'error'.
+ */
+function createRiskTracker(options = {}) {
+  const thresholds = options.thresholds || DEFAULT_THRESHOLDS;
+  const hysteresis = options.hysteresis === undefined ? DEFAULT_HYSTERESIS : options.hysteresis;
+  // Most severe (lowest threshold) first
+  const levels = Object.entries(thresholds)
+    .map(([level, health]) => ({ level, health }))
+    .sort((a, b) => a.health - b.health);
+  const severity = level => (level === 'ok' ? levels.length : levels.findIndex(l => l.level === level));
+  const levelFor = (health, margin) => {
+    const match = levels.find(l => health <= l.health + margin);
+    return match ? match.level : 'ok';
+  };
+  const current = new Map();
+
+  return {
+    levels: levels.map(l => l.level),
+    get(key) {
+      return current.get(key) || 'ok';
+    },
+    update(key, health) {
+      const previousLevel = current.has(key) ? current.get(key) : null;
+      let level;
+      if (health === null) {
+        level = 'error';
+      } else {
+        level = levelFor(health, 0);
+        const settled = previousLevel === null || previousLevel === 'error' ? null : previousLevel;
+        // Moving to a safer level only once health clears the hysteresis band
+        if (settled && severity(level) > severity(settled)) {
+          level = levelFor(health, hysteresis);
+          if (severity(level) < severity(settled)) level = settled;
+        }
+      }
+      current.set(key, level);
+      // A first poll at 'ok' is not news
+      if (level === previousLevel || (previousLevel === null && level === 'ok')) return null;
+      return { level, previousLevel };
+    },
+  };
+}
+
+/**
+ * Alert sink for a target string:
+ *   'stdout' or '-'        one JSON line per alert on stdout
+ *   'http://' / 'https://' POST the alert as JSON
+ *   anything else          append JSON lines to that file
+ * Returns async send(alert).
+ */
+function createAlertSink(target) {
+  if (target === 'stdout' || target === '-') {
+    return async alert => { console.log(JSON.stringify(alert)); };
+  }
+  if (/^https?:\/\//.test(target)) {
+    return async alert => {
+      const response = await fetch(target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(alert),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      if (!response.ok) throw new Error(`Webhook ${target} answered ${response.status}`);
+    };
+  }
+  return alert => fs.promises.appendFile(target, `${JSON.stringify(alert)}\n`);
+}
+
+/**
+ * Run fetchBatch(indexes) (returning { [index]: value }) for all indexes at
+ * once; if that throws, retry each index alone so one bad market or oracle
+ * only fails the accounts that use it. Returns { values, errors } keyed by index.
+ */
+async function fetchEachSettled(indexes, fetchBatch) {
+  const unique = [...new Set(indexes)];
+  if (!unique.length) return { values: {}, errors: {} };
+  try {
+    return { values: await fetchBatch(unique), errors: {} };
+  } catch (batchError) {
+    const values = {};
+    const errors = {};
+    await Promise.all(unique.map(async index => {
+      try {
+        Object.assign(values, await fetchBatch([index]));
+      } catch (err) {
+        errors[index] = err.message;
+      }
+    }));
+    return { values, errors };
+  }
+}
+
+// Subset of a { [marketIndex]: market } map
+function pickMarkets(markets, indexes) {
+  const picked = {};
+  for (const index of indexes) if (markets[index]) picked[index] = markets[index];
+  return picked;
+}
+
+// First market or oracle error among the markets `user` depends on, or null
+function findMarketError(user, perpMarkets, failures) {
+  const perpIndexes = user.perpPositions.map(p => p.marketIndex);
+  const spotIndexes = [
+    ...user.spotPositions.map(p => p.marketIndex),
+    ...perpIndexes.filter(i => perpMarkets[i]).map(i => perpMarkets[i].quoteSpotMarketIndex),
+  ];
+  for (const [label, errors, indexes] of [
+    ['PerpMarket', failures.perpMarkets, perpIndexes],
+    ['SpotMarket', failures.spotMarkets, spotIndexes],
+    ['Perp oracle', failures.perpOracles, perpIndexes],
+    ['Spot oracle', failures.spotOracles, spotIndexes],
+  ]) {
+    const index = indexes.find(i => errors[i] !== undefined);
+    if (index !== undefined) return `${label} ${index}: ${errors[index]}`;
+  }
+  return null;
+}
+
+/**
+ * Health of every account in `pubkeys`, as
+ * [{ pubkey, user, health, margin, staleOracles, error }]. Markets and
+ * oracle prices are fetched once for the whole list; accounts whose markets
+ * or oracles could not be fetched get health null and the error.
+ */
+async function pollAccountHealth(conn, pubkeys, options = {}) {
+  const programId = options.programId || DRIFT_PROGRAM_ID;
+  const accounts = [];
+  for await (const entry of fetchUsersInChunks(conn, pubkeys, options.chunkSize || MAX_MULTIPLE_ACCOUNTS)) {
+    accounts.push(entry);
+  }
+
+  const users = accounts.filter(a => a.user).map(a => a.user);
+  const spotIndexes = users.flatMap(u => u.spotPositions.map(p => p.marketIndex));
+  const perpIndexes = users.flatMap(u => u.perpPositions.map(p => p.marketIndex));
+  const perp = await fetchEachSettled(perpIndexes, indexes => fetchPerpMarkets(conn, indexes, programId));
+  const perpMarkets = perp.values;
+  // Perp PnL settles in the quote market, which the margin math reads
+  spotIndexes.push(...Object.values(perpMarkets).map(m => m.quoteSpotMarketIndex));
+  const spot = await fetchEachSettled(spotIndexes, indexes => fetchSpotMarkets(conn, indexes, programId));
+  const spotMarkets = spot.values;
+
+  const oracleOptions = { maxDelaySlots: options.maxDelaySlots };
+  const spotOracle = await fetchEachSettled(Object.keys(spotMarkets),
+    indexes => fetchOraclePrices(conn, pickMarkets(spotMarkets, indexes), oracleOptions));
+  const perpOracle = await fetchEachSettled(Object.keys(perpMarkets),
+    indexes => fetchOraclePrices(conn, pickMarkets(perpMarkets, indexes), oracleOptions));
+  const spotOracles = spotOracle.values;
+  const perpOracles = perpOracle.values;
+  const prices = { spotPrices: oraclePriceMap(spotOracles), perpPrices: oraclePriceMap(perpOracles) };
+  const failures = {
+    perpMarkets: perp.errors,
+    spotMarkets: spot.errors,
+    perpOracles: perpOracle.errors,
+    spotOracles: spotOracle.errors,
+  };
+
+  return accounts.map(({ pubkey, user, error }) => {
+    if (!user) return { pubkey, user: null, health: null, margin: null, staleOracles: [], error };
+    const marketError = findMarketError(user, perpMarkets, failures);
+    if (marketError) return { pubkey, user, health: null, margin: null, staleOracles: [], error: marketError };
+    try {
+      const margin = calculateMargin(user, spotMarkets, perpMarkets, prices);
+      const staleOracles = [
+        ...user.spotPositions.filter(p => spotOracles[p.marketIndex].stale).map(p => `spot:${p.marketIndex}`),
+        ...user.perpPositions.filter(p => perpOracles[p.marketIndex].stale).map(p => `perp:${p.marketIndex}`),
+      ];
+      return { pubkey, user, health: margin.health, margin, staleOracles, error: null };
+    } catch (err) {
+      return { pubkey, user, health: null, margin: null, staleOracles: [], error: err.message };
+    }
+  });
+}
+
+function buildAlert(account, change) {
+  const alert = {
+    type: 'drift.liquidationRisk',
+    timestamp: new Date().toISOString(),
+    user: account.pubkey.toBase58(),
+    level: change.level,
+    previousLevel: change.previousLevel,
+    health: account.health,
+  };
+  if (account.user) {
+    alert.authority = account.user.authority.toBase58();
+    alert.subAccountId = account.user.subAccountId;
+    alert.name = account.user.name;
+  }
+  if (account.margin) {
+    const fmt = value => formatTokenAmount(value, 6);
+    const { totalCollateral, marginRequirement } = account.margin;
+    alert.maintenanceTotalCollateral = fmt(totalCollateral.maintenance);
+    alert.maintenanceMarginRequirement = fmt(marginRequirement.maintenance);
+    alert.maintenanceFreeCollateral = fmt(totalCollateral.maintenance.sub(marginRequirement.maintenance));
+    alert.initialFreeCollateral = fmt(BN.max(totalCollateral.initial.sub(marginRequirement.initial), new BN(0)));
+    alert.staleOracles = account.staleOracles;
+  }
+  if (account.error) alert.error = account.error;
+  return alert;
+}
+
+/**
+ * Poll `pubkeys` every options.intervalMs (default 60s) until stop() is
+ * called, sending an alert to every sink on each level change.
+ *   options: { intervalMs, thresholds, hysteresis, sinks: [send], once,
+ *              onPoll(results), onError(err), chunkSize, maxDelaySlots, programId }
+ * Returns { stop, done } where done resolves when the loop exits.
+ */
+function runRiskMonitor(conn, pubkeys, options = {}) {
+  const intervalMs = options.intervalMs || 60000;
+  const sinks = options.sinks || [createAlertSink('stdout')];
+  const onError = options.onError || (err => console.error(err));
+  const tracker = createRiskTracker(options);
+  let stopped = false;
+  let wake = null;
+  let timer = null;
+
+  const deliver = alert => Promise.all(sinks.map(send => Promise.resolve()
+    .then(() => send(alert))
+    .catch(onError)));
+
+  const done = (async () => {
+    while (!stopped) {
+      let results;
+      try {
+        results = await pollAccountHealth(conn, pubkeys, options);
+      } catch (err) {
+        // A failed poll (RPC outage) moves every account to 'error' rather than keeping stale levels
+        onError(err);
+        results = pubkeys.map(pubkey => ({
+          pubkey, user: null, health: null, margin: null, staleOracles: [], error: `Poll failed: ${err.message}`,
+        }));
+      }
+      for (const account of results) {
+        const change = tracker.update(account.pubkey.toBase58(), account.health);
+        if (change) await deliver(buildAlert(account, change));
+      }
+      if (options.onPoll) options.onPoll(results);
+      if (options.once) break;
+      await new Promise(resolve => {
+        wake = resolve;
+        timer = setTimeout(resolve, intervalMs);
+      });
+    }
+  })();
+
+  return {
+    done,
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (wake) wake();
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  DEFAULT_HYSTERESIS,
+  createRiskTracker,
+  createAlertSink,
+  pollAccountHealth,
+  runRiskMonitor,
+};
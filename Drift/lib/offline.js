@@ -0,0 +1,177 @@
+/**
+ * offline.js
+ *
+ * Decoding without an RPC node. Account data is accepted as any of:
+ *   - raw base64 (the account data only)
+ *   - `solana account <PUBKEY> --output json` output
+ *   - a saved getAccountInfo JSON-RPC response (or just its `value`)
+ * read from a file or, with "-", from stdin.
+ *
+ * A directory of such dumps (one per account, file names free) can stand in
+ * for a Connection: createConnection(target) returns an offline connection
+ * serving getAccountInfo / getMultipleAccountsInfo from the directory when
+ * `target` is a directory, and a web3.js Connection when it is an RPC URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Connection, PublicKey } = require('@solana/web3.js');
+const { identifyAccount } = require('./accounts');
+const { decodeUser } = require('./user');
+const { decodeUserStats } = require('./userStats');
+const { decodeSpotMarket } = require('./spotMarket');
+const { decodePerpMarket } = require('./perpMarket');
+const { decodeState } = require('./state');
+const { decodeInsuranceFundStake } = require('./insuranceFund');
+const { decodeOraclePrice } = require('./oracle');
+
+const DEFAULT_RPC_URL = 'https://api.devnet.solana.com';
+
+// [base64, "base64"] as returned by RPC / solana CLI, or a plain base64 string
+function decodeDataField(data) {
+  if (typeof data === 'string') return Buffer.from(data, 'base64');
+  if (Array.isArray(data) && data[1] === 'base64') return Buffer.from(data[0], 'base64');
+  const encoding = Array.isArray(data) ? data[1] : typeof data;
+  throw new Error(`Unsupported account data encoding ${encoding}; dump accounts with base64 encoding`);
+}
+
+/**
+ * Parse one account dump into { pubkey, data, owner, lamports, slot }.
+ * pubkey / owner / lamports / slot are null when the format does not carry them.
+ */
+function parseAccountDump(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{')) {
+    return { pubkey: null, data: Buffer.from(trimmed.replace(/\s+/g, ''), 'base64'), owner: null, lamports: null, slot: null };
+  }
+
+  const json = JSON.parse(trimmed);
+  if (json.error) throw new Error(`Saved RPC response is an error: ${json.error.message}`);
+  const result = json.result || json;
+  const account = json.account || (result.value !== undefined ? result.value : result);
+  if (!account) throw new Error('Saved getAccountInfo response has no account (value is null)');
+  if (account.data === undefined) throw new Error('Unrecognised account dump: no `data` field');
+
+  return {
+    pubkey: json.pubkey ? new PublicKey(json.pubkey) : null,
+    data: decodeDataField(account.data),
+    owner: account.owner ? new PublicKey(account.owner) : null,
+    lamports: account.lamports !== undefined ? account.lamports : null,
+    slot: result.context ? result.context.slot : null,
+  };
+}
+
+// Read and parse a dump from `source` (a file path, or "-" for stdin)
+function readAccountDump(source) {
+  const text = source === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(source, 'utf8');
+  return parseAccountDump(text);
+}
+
+/**
+ * Every dump in `dir`, keyed by base58 pubkey. The pubkey comes from the
+ * dump itself, else from the file name (<PUBKEY>.json / <PUBKEY>.b64).
+ */
+function loadAccountsDirectory(dir) {
+  const accounts = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const fullPath = path.join(dir, file);
+    if (!fs.statSync(fullPath).isFile()) continue;
+    const dump = readAccountDump(fullPath);
+    const pubkey = dump.pubkey ? dump.pubkey.toBase58() : path.parse(file).name;
+    try {
+      new PublicKey(pubkey);
+    } catch (err) {
+      throw new Error(`Cannot tell which account ${fullPath} holds; name it <PUBKEY>.json`);
+    }
+    accounts.set(pubkey, dump);
+  }
+  return accounts;
+}
+
+/**
+ * Connection-like object answering from `accounts` (Map of base58 pubkey ->
+ * parsed dump). The reported slot is options.slot, else the newest slot
+ * recorded in the dumps, else 0.
+ */
+function createOfflineConnection(accounts, options = {}) {
+  const recordedSlots = [...accounts.values()].map(a => a.slot).filter(s => s !== null);
+  const slot = options.slot !== undefined ? options.slot : Math.max(0, ...recordedSlots);
+
+  const lookup = pubkey => {
+    const dump = accounts.get(new PublicKey(pubkey).toBase58());
+    if (!dump) return null;
+    return { data: dump.data, owner: dump.owner, lamports: dump.lamports, executable: false };
+  };
+
+  return {
+    offline: true,
+    async getSlot() {
+      return slot;
+    },
+    async getAccountInfo(pubkey) {
+      return lookup(pubkey);
+    },
+    async getMultipleAccountsInfo(pubkeys) {
+      return pubkeys.map(lookup);
+    },
+    async getMultipleAccountsInfoAndContext(pubkeys) {
+      return { context: { slot }, value: pubkeys.map(lookup) };
+    },
+  };
+}
+
+function isAccountsDirectory(target) {
+  return Boolean(target) && fs.existsSync(target) && fs.statSync(target).isDirectory();
+}
+
+/**
+ * RPC URL -> web3.js Connection; directory of account dumps -> offline connection.
+ * options.wsEndpoint overrides the websocket URL derived from the RPC URL.
+ */
+function createConnection(target = DEFAULT_RPC_URL, options = {}) {
+  if (isAccountsDirectory(target)) return createOfflineConnection(loadAccountsDirectory(target));
+  return new Connection(target, { commitment: 'confirmed', wsEndpoint: options.wsEndpoint });
+}
+
+const DECODERS = {
+  User: decodeUser,
+  UserStats: decodeUserStats,
+  SpotMarket: decodeSpotMarket,
+  PerpMarket: decodePerpMarket,
+  State: decodeState,
+  InsuranceFundStake: decodeInsuranceFundStake,
+  // Oracle accounts decode to their price at the unscaled (1x, non-stablecoin) source
+  'Pyth price': buffer => decodeOraclePrice(buffer, 'Pyth'),
+  PriceUpdateV2: buffer => decodeOraclePrice(buffer, 'PythPull'),
+  PythLazerOracle: buffer => decodeOraclePrice(buffer, 'PythLazer'),
+  PullFeedAccountData: buffer => decodeOraclePrice(buffer, 'SwitchboardOnDemand'),
+  PrelaunchOracle: buffer => decodeOraclePrice(buffer, 'Prelaunch'),
+};
+
+// Whether decodeAccount supports `buffer`: identifyAccount also knows types
+// without a decoder (e.g. ReferrerName, SignedMsgUserOrders)
+function canDecodeAccount(buffer) {
+  return Boolean(DECODERS[identifyAccount(buffer)]);
+}
+
+// Decode an account of any supported type, detected from its discriminator
+function decodeAccount(buffer, options = {}) {
+  const type = identifyAccount(buffer);
+  if (!DECODERS[type]) {
+    throw new Error(`Cannot decode ${type ? `${type} accounts` : 'an unrecognised account'}`
+      + ` (supported: ${Object.keys(DECODERS).join(', ')})`);
+  }
+  return { type, account: DECODERS[type](buffer, options) };
+}
+
+module.exports = {
+  DEFAULT_RPC_URL,
+  parseAccountDump,
+  readAccountDump,
+  loadAccountsDirectory,
+  createOfflineConnection,
+  isAccountsDirectory,
+  createConnection,
+  canDecodeAccount,
+  decodeAccount,
+};
@@ -0,0 +1,212 @@
+/**
+ * oracle.js
+ *
+ * Decoders for the oracle accounts a Drift market can point at, selected by
+ * the market's oracleSource:
+ *   Pyth*          legacy Pyth price account (magic 0xa1b2c3d4)
+ *   Pyth*Pull      Pyth receiver PriceUpdateV2
+ *   PythLazer*     Drift PythLazerOracle
+ *   SwitchboardOnDemand  Switchboard On-Demand PullFeedAccountData
+ *   Prelaunch      Drift PrelaunchOracle
+ *   QuoteAsset     no account, always 1.0
+ * Legacy Switchboard (V2 AggregatorAccountData) is not supported.
+ *
+ * Anchor oracle accounts are checked against their discriminator before any
+ * fixed-offset read, so a wrong account fails instead of decoding garbage.
+ *
+ * Every decoder returns { price, confidence, slot, publishTime } with price
+ * and confidence in PRICE_PRECISION (1e6), like the Drift SDK oracle clients.
+ * `slot` is the slot the price was published / posted in.
+ */
+
+const BN = require('bn.js');
+const {
+  readUnsignedBigInt64LE,
+  readSignedBigInt64LE,
+  readI128LE,
+} = require('./readers');
+const { PRICE_PRECISION, QUOTE_PRECISION } = require('./constants');
+const { assertAccountType } = require('./accounts');
+
+const PYTH_MAGIC = 0xa1b2c3d4;
+const PYTH_PRICE_ACCOUNT_TYPE = 3;
+// Switchboard results are 1e18; PRICE_PRECISION is 1e6
+const SWITCHBOARD_PRECISION = new BN(10).pow(new BN(12));
+const SWITCHBOARD_SUBMISSIONS = 32;
+const SWITCHBOARD_SUBMISSION_SIZE = 64;
+// Stablecoin oracles snap to 1.0 within min(confidence, 5bps)
+const FIVE_BPS = new BN(500);
+// Drift's default oracle guard rail for margin calculations
+const DEFAULT_MAX_ORACLE_DELAY_SLOTS = 120;
+
+// Raw Pyth value with exponent -> PRICE_PRECISION, scaled by the 1K / 1M multiple
+function convertPythPrice(value, exponent, multiple = 1) {
+  const pythPrecision = new BN(10).pow(new BN(Math.abs(exponent)));
+  return new BN(value).mul(PRICE_PRECISION).muln(multiple).div(pythPrecision);
+}
+
+function getStableCoinPrice(price, confidence) {
+  return price.sub(QUOTE_PRECISION).abs().lt(BN.min(confidence, FIVE_BPS)) ? QUOTE_PRECISION.clone() : price;
+}
+
+// Legacy Pyth price account: exponent @20, aggregate price info @208
+function decodePythPriceAccount(buffer) {
+  if (buffer.readUInt32LE(0) !== PYTH_MAGIC || buffer.readUInt32LE(8) !== PYTH_PRICE_ACCOUNT_TYPE) {
+    throw new Error('Not a Pyth price account');
+  }
+  return {
+    exponent: buffer.readInt32LE(20),
+    price: readSignedBigInt64LE(buffer, 208),
+    confidence: readUnsignedBigInt64LE(buffer, 216),
+    status: buffer.readUInt32LE(224),
+    publishSlot: readUnsignedBigInt64LE(buffer, 232),
+    publishTime: readSignedBigInt64LE(buffer, 96),
+  };
+}
+
+// Pyth receiver PriceUpdateV2 (borsh): the verification level enum is 2 bytes when Partial, 1 when Full
+function decodePythPullPriceUpdate(buffer) {
+  assertAccountType(buffer, 'PriceUpdateV2');
+  const offset = buffer.readUInt8(40) === 0 ? 42 : 41;
+  return {
+    feedId: buffer.subarray(offset, offset + 32).toString('hex'),
+    price: readSignedBigInt64LE(buffer, offset + 32),
+    confidence: readUnsignedBigInt64LE(buffer, offset + 40),
+    exponent: buffer.readInt32LE(offset + 48),
+    publishTime: readSignedBigInt64LE(buffer, offset + 52),
+    postedSlot: readUnsignedBigInt64LE(buffer, offset + 84),
+  };
+}
+
+function decodePythLazerOracle(buffer) {
+  assertAccountType(buffer, 'PythLazerOracle');
+  return {
+    price: readSignedBigInt64LE(buffer, 8),
+    publishTime: readUnsignedBigInt64LE(buffer, 16),
+    postedSlot: readUnsignedBigInt64LE(buffer, 24),
+    exponent: buffer.readInt32LE(32),
+    confidence: readUnsignedBigInt64LE(buffer, 40),
+  };
+}
+
+// Switchboard On-Demand PullFeedAccountData: 32 submissions, then the current result @2264
+function decodeSwitchboardOnDemand(buffer) {
+  assertAccountType(buffer, 'PullFeedAccountData');
+  let landedAt = new BN(0);
+  for (let i = 0; i < SWITCHBOARD_SUBMISSIONS; i++) {
+    landedAt = BN.max(landedAt, readUnsignedBigInt64LE(buffer, 8 + i * SWITCHBOARD_SUBMISSION_SIZE + 40));
+  }
+  return {
+    value: readI128LE(buffer, 2264),
+    range: readI128LE(buffer, 2312),
+    lastUpdateTimestamp: readSignedBigInt64LE(buffer, 2216),
+    landedAt,
+  };
+}
+
+function decodePrelaunchOracle(buffer) {
+  assertAccountType(buffer, 'PrelaunchOracle');
+  return {
+    price: readSignedBigInt64LE(buffer, 8),
+    maxPrice: readSignedBigInt64LE(buffer, 16),
+    confidence: readUnsignedBigInt64LE(buffer, 24),
+    lastUpdateSlot: readUnsignedBigInt64LE(buffer, 32),
+    ammLastUpdateSlot: readUnsignedBigInt64LE(buffer, 40),
+  };
+}
+
+// Scale multiple and stablecoin handling encoded in the Pyth source variants
+function getPythVariant(oracleSource) {
+  return {
+    multiple: /1M/.test(oracleSource) ? 1000000 : /1K/.test(oracleSource) ? 1000 : 1,
+    stableCoin: /StableCoin/.test(oracleSource),
+  };
+}
+
+function normalizePyth(raw, oracleSource, slot) {
+  const { multiple, stableCoin } = getPythVariant(oracleSource);
+  const confidence = convertPythPrice(raw.confidence, raw.exponent, multiple);
+  const price = convertPythPrice(raw.price, raw.exponent, multiple);
+  return {
+    price: stableCoin ? getStableCoinPrice(price, confidence) : price,
+    confidence,
+    slot,
+    publishTime: new BN(raw.publishTime),
+  };
+}
+
+/**
+ * Price of an oracle account for the given OracleSource variant name
+ * (as decoded on SpotMarket.oracleSource / PerpMarket.amm.oracleSource).
+ * `buffer` may be null for QuoteAsset, which has no oracle account.
+ */
+function decodeOraclePrice(buffer, oracleSource) {
+  switch (oracleSource) {
+    case 'QuoteAsset':
+      return { price: PRICE_PRECISION.clone(), confidence: new BN(1), slot: null, publishTime: null };
+    case 'Pyth':
+    case 'Pyth1K':
+    case 'Pyth1M':
+    case 'PythStableCoin': {
+      const raw = decodePythPriceAccount(buffer);
+      return normalizePyth(raw, oracleSource, raw.publishSlot);
+    }
+    case 'PythPull':
+    case 'Pyth1KPull':
+    case 'Pyth1MPull':
+    case 'PythStableCoinPull': {
+      const raw = decodePythPullPriceUpdate(buffer);
+      return normalizePyth(raw, oracleSource, raw.postedSlot);
+    }
+    case 'PythLazer':
+    case 'PythLazer1K':
+    case 'PythLazer1M':
+    case 'PythLazerStableCoin': {
+      const raw = decodePythLazerOracle(buffer);
+      return normalizePyth(raw, oracleSource, raw.postedSlot);
+    }
+    case 'SwitchboardOnDemand': {
+      const raw = decodeSwitchboardOnDemand(buffer);
+      return {
+        price: raw.value.div(SWITCHBOARD_PRECISION),
+        confidence: raw.range.div(SWITCHBOARD_PRECISION),
+        slot: raw.landedAt,
+        publishTime: raw.lastUpdateTimestamp,
+      };
+    }
+    case 'Prelaunch': {
+      const raw = decodePrelaunchOracle(buffer);
+      return { price: raw.price, confidence: raw.confidence, slot: raw.ammLastUpdateSlot, publishTime: null };
+    }
+    default:
+      throw new Error(`Unsupported oracle source ${oracleSource}`);
+  }
+}
+
+/**
+ * Slots elapsed since the price was published and whether that exceeds
+ * `maxDelaySlots`. QuoteAsset prices (slot null) are never stale.
+ */
+function getOracleStaleness(oraclePrice, currentSlot, maxDelaySlots = DEFAULT_MAX_ORACLE_DELAY_SLOTS) {
+  if (oraclePrice.slot === null) return { slotDelay: 0, stale: false };
+  const slotDelay = currentSlot - oraclePrice.slot.toNumber();
+  return { slotDelay, stale: slotDelay > maxDelaySlots };
+}
+
+// tokenAmount (10^decimals) × price (1e6) -> USD value in QUOTE_PRECISION
+function getTokenValue(tokenAmount, price, decimals) {
+  return new BN(tokenAmount).mul(price).div(new BN(10).pow(new BN(decimals)));
+}
+
+module.exports = {
+  DEFAULT_MAX_ORACLE_DELAY_SLOTS,
+  convertPythPrice,
+  decodePythPriceAccount,
+  decodePythPullPriceUpdate,
+  decodePythLazerOracle,
+  decodeSwitchboardOnDemand,
+  decodePrelaunchOracle,
+  decodeOraclePrice,
+  getOracleStaleness,
+  getTokenValue,
+};
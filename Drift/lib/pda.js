@@ -0,0 +1,95 @@
+/**
+ * pda.js
+ *
+ * Program-derived addresses of Drift accounts. The same program id is
+ * deployed on devnet and mainnet-beta.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+
+const DRIFT_PROGRAM_ID = new PublicKey('dRiftyHA39MWEi3m9aunc5MzRF1JYuBsbn6VPcn33UH');
+
+function u16Seed(value) {
+  const seed = Buffer.alloc(2);
+  seed.writeUInt16LE(value);
+  return seed;
+}
+
+// seeds: ["spot_market", marketIndex as u16 LE]
+function getSpotMarketPublicKey(marketIndex, programId = DRIFT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('spot_market'), u16Seed(marketIndex)],
+    programId
+  )[0];
+}
+
+// seeds: ["perp_market", marketIndex as u16 LE]
+function getPerpMarketPublicKey(marketIndex, programId = DRIFT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('perp_market'), u16Seed(marketIndex)],
+    programId
+  )[0];
+}
+
+// seeds: ["user", authority, subAccountId as u16 LE]
+function getUserAccountPublicKey(authority, subAccountId = 0, programId = DRIFT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('user'), new PublicKey(authority).toBuffer(), u16Seed(subAccountId)],
+    programId
+  )[0];
+}
+
+// seeds: ["user_stats", authority]
+function getUserStatsAccountPublicKey(authority, programId = DRIFT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('user_stats'), new PublicKey(authority).toBuffer()],
+    programId
+  )[0];
+}
+
+// seeds: ["drift_state"]
+function getStatePublicKey(programId = DRIFT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync([Buffer.from('drift_state')], programId)[0];
+}
+
+// seeds: ["insurance_fund_stake", authority, marketIndex as u16 LE]
+function getInsuranceFundStakePublicKey(authority, marketIndex, programId = DRIFT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('insurance_fund_stake'), new PublicKey(authority).toBuffer(), u16Seed(marketIndex)],
+    programId
+  )[0];
+}
+
+// seeds: ["insurance_fund_vault", marketIndex as u16 LE]
+function getInsuranceFundVaultPublicKey(marketIndex, programId = DRIFT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('insurance_fund_vault'), u16Seed(marketIndex)],
+    programId
+  )[0];
+}
+
+// seeds: ["spot_market_vault", marketIndex as u16 LE]
+function getSpotMarketVaultPublicKey(marketIndex, programId = DRIFT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('spot_market_vault'), u16Seed(marketIndex)],
+    programId
+  )[0];
+}
+
+// seeds: ["drift_signer"]; owner of every market vault, signs withdrawals
+function getDriftSignerPublicKey(programId = DRIFT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync([Buffer.from('drift_signer')], programId)[0];
+}
+
+module.exports = {
+  DRIFT_PROGRAM_ID,
+  getSpotMarketPublicKey,
+  getPerpMarketPublicKey,
+  getUserAccountPublicKey,
+  getUserStatsAccountPublicKey,
+  getStatePublicKey,
+  getInsuranceFundStakePublicKey,
+  getInsuranceFundVaultPublicKey,
+  getSpotMarketVaultPublicKey,
+  getDriftSignerPublicKey,
+};
@@ -0,0 +1,213 @@
+/**
+ * perpMarket.js
+ *
+ * Decoder for the Drift `PerpMarket` account (1216 bytes) and its AMM.
+ *
+ * Precisions of the raw values returned:
+ *   reserves, sqrtK, base amounts   AMM_RESERVE / BASE_PRECISION 1e9
+ *   pegMultiplier                   PEG_PRECISION 1e6
+ *   prices, twaps                   PRICE_PRECISION 1e6
+ *   quote amounts, fees             QUOTE_PRECISION 1e6
+ *   cumulative funding rates        FUNDING_RATE_PRECISION 1e9
+ *   margin ratios                   MARGIN_PRECISION 1e4
+ */
+
+const {
+  readUnsignedBigInt64LE,
+  readSignedBigInt64LE,
+  readU128LE,
+  readI128LE,
+  readPublicKey,
+  readName,
+} = require('./readers');
+const {
+  decodeHistoricalOracleData,
+  decodePoolBalance,
+  decodeInsuranceClaim,
+} = require('./structs');
+const {
+  ORACLE_SOURCES,
+  MARKET_STATUSES,
+  CONTRACT_TYPES,
+  CONTRACT_TIERS,
+  enumName,
+} = require('./enums');
+const {
+  ACCOUNT_SIZES,
+  DEFAULT_LAYOUT_VERSION,
+  assertAccountType,
+  resolveLayoutVersion,
+} = require('./accounts');
+
+// Field offsets follow the PerpMarket / AMM structs (repr(C)) in the Drift IDL
+const PERP_MARKET_SIZE = ACCOUNT_SIZES.PerpMarket;
+const AMM_OFFSET = 40;
+
+// AMM fields that differ between layout versions (offsets relative to the AMM)
+function decodeVersionedAMMFields(buffer, offset, layoutVersion) {
+  const u64 = o => readUnsignedBigInt64LE(buffer, offset + o);
+  const i64 = o => readSignedBigInt64LE(buffer, offset + o);
+  if (layoutVersion >= 2) {
+    return {
+      mmOracleSlot: u64(792),
+      mmOraclePrice: i64(872),
+      oracleLowRiskSlotDelayOverride: buffer.readInt8(offset + 893),
+      ammSpreadAdjustment: buffer.readInt8(offset + 894),
+      oracleSlotDelayOverride: buffer.readInt8(offset + 895),
+      mmOracleSequenceId: u64(896),
+      ammInventorySpreadAdjustment: buffer.readInt8(offset + 924),
+      referencePriceOffsetDeadbandPct: buffer.readUInt8(offset + 925),
+      lastFundingOracleTwap: i64(928),
+    };
+  }
+  return {
+    maxPositionSize: u64(792),
+    totalFeeEarnedPerLp: u64(872),
+  };
+}
+
+// AMM: 936 bytes, embedded at offset 40
+function decodeAMM(buffer, offset, layoutVersion = DEFAULT_LAYOUT_VERSION) {
+  const u64 = o => readUnsignedBigInt64LE(buffer, offset + o);
+  const i64 = o => readSignedBigInt64LE(buffer, offset + o);
+  const u128 = o => readU128LE(buffer, offset + o);
+  const i128 = o => readI128LE(buffer, offset + o);
+
+  return {
+    oracle: readPublicKey(buffer, offset),
+    historicalOracleData: decodeHistoricalOracleData(buffer, offset + 32),
+    baseAssetAmountPerLp: i128(80),
+    quoteAssetAmountPerLp: i128(96),
+    feePool: decodePoolBalance(buffer, offset + 112),
+    baseAssetReserve: u128(136),
+    quoteAssetReserve: u128(152),
+    concentrationCoef: u128(168),
+    minBaseAssetReserve: u128(184),
+    maxBaseAssetReserve: u128(200),
+    sqrtK: u128(216),
+    pegMultiplier: u128(232),
+    terminalQuoteAssetReserve: u128(248),
+    baseAssetAmountLong: i128(264),
+    baseAssetAmountShort: i128(280),
+    baseAssetAmountWithAmm: i128(296),
+    baseAssetAmountWithUnsettledLp: i128(312),
+    maxOpenInterest: u128(328),
+    quoteAssetAmount: i128(344),
+    quoteEntryAmountLong: i128(360),
+    quoteEntryAmountShort: i128(376),
+    quoteBreakEvenAmountLong: i128(392),
+    quoteBreakEvenAmountShort: i128(408),
+    userLpShares: u128(424),
+    lastFundingRate: i64(440),
+    lastFundingRateLong: i64(448),
+    lastFundingRateShort: i64(456),
+    last24hAvgFundingRate: i64(464),
+    totalFee: i128(472),
+    totalMmFee: i128(488),
+    totalExchangeFee: u128(504),
+    totalFeeMinusDistributions: i128(520),
+    totalFeeWithdrawn: u128(536),
+    totalLiquidationFee: u128(552),
+    cumulativeFundingRateLong: i128(568),
+    cumulativeFundingRateShort: i128(584),
+    totalSocialLoss: u128(600),
+    askBaseAssetReserve: u128(616),
+    askQuoteAssetReserve: u128(632),
+    bidBaseAssetReserve: u128(648),
+    bidQuoteAssetReserve: u128(664),
+    lastOracleNormalisedPrice: i64(680),
+    lastOracleReservePriceSpreadPct: i64(688),
+    lastBidPriceTwap: u64(696),
+    lastAskPriceTwap: u64(704),
+    lastMarkPriceTwap: u64(712),
+    lastMarkPriceTwap5min: u64(720),
+    lastUpdateSlot: u64(728),
+    lastOracleConfPct: u64(736),
+    netRevenueSinceLastFunding: i64(744),
+    lastFundingRateTs: i64(752),
+    fundingPeriod: i64(760),
+    orderStepSize: u64(768),
+    orderTickSize: u64(776),
+    minOrderSize: u64(784),
+    volume24h: u64(800),
+    longIntensityVolume: u64(808),
+    shortIntensityVolume: u64(816),
+    lastTradeTs: i64(824),
+    markStd: u64(832),
+    oracleStd: u64(840),
+    lastMarkPriceTwapTs: i64(848),
+    baseSpread: buffer.readUInt32LE(offset + 856),
+    maxSpread: buffer.readUInt32LE(offset + 860),
+    longSpread: buffer.readUInt32LE(offset + 864),
+    shortSpread: buffer.readUInt32LE(offset + 868),
+    maxFillReserveFraction: buffer.readUInt16LE(offset + 880),
+    maxSlippageRatio: buffer.readUInt16LE(offset + 882),
+    curveUpdateIntensity: buffer.readUInt8(offset + 884),
+    ammJitIntensity: buffer.readUInt8(offset + 885),
+    oracleSource: enumName(ORACLE_SOURCES, buffer.readUInt8(offset + 886)),
+    lastOracleValid: Boolean(buffer.readUInt8(offset + 887)),
+    targetBaseAssetAmountPerLp: buffer.readInt32LE(offset + 888),
+    perLpBase: buffer.readInt8(offset + 892),
+    netUnsettledFundingPnl: i64(904),
+    quoteAssetAmountWithUnsettledLp: i64(912),
+    referencePriceOffset: buffer.readInt32LE(offset + 920),
+    ...decodeVersionedAMMFields(buffer, offset, layoutVersion),
+  };
+}
+
+function decodePerpMarket(buffer, { layoutVersion } = {}) {
+  assertAccountType(buffer, 'PerpMarket');
+  const version = resolveLayoutVersion(layoutVersion);
+  return {
+    pubkey: readPublicKey(buffer, 8),
+    amm: decodeAMM(buffer, AMM_OFFSET, version),
+    pnlPool: decodePoolBalance(buffer, 976),
+    name: readName(buffer, 1000),
+    insuranceClaim: decodeInsuranceClaim(buffer, 1032),
+    unrealizedPnlMaxImbalance: readUnsignedBigInt64LE(buffer, 1072),
+    expiryTs: readSignedBigInt64LE(buffer, 1080),
+    expiryPrice: readSignedBigInt64LE(buffer, 1088),
+    nextFillRecordId: readUnsignedBigInt64LE(buffer, 1096),
+    nextFundingRateRecordId: readUnsignedBigInt64LE(buffer, 1104),
+    nextCurveRecordId: readUnsignedBigInt64LE(buffer, 1112),
+    imfFactor: buffer.readUInt32LE(1120),
+    unrealizedPnlImfFactor: buffer.readUInt32LE(1124),
+    liquidatorFee: buffer.readUInt32LE(1128),
+    ifLiquidationFee: buffer.readUInt32LE(1132),
+    marginRatioInitial: buffer.readUInt32LE(1136),
+    marginRatioMaintenance: buffer.readUInt32LE(1140),
+    unrealizedPnlInitialAssetWeight: buffer.readUInt32LE(1144),
+    unrealizedPnlMaintenanceAssetWeight: buffer.readUInt32LE(1148),
+    numberOfUsersWithBase: buffer.readUInt32LE(1152),
+    numberOfUsers: buffer.readUInt32LE(1156),
+    marketIndex: buffer.readUInt16LE(1160),
+    status: enumName(MARKET_STATUSES, buffer.readUInt8(1162)),
+    contractType: enumName(CONTRACT_TYPES, buffer.readUInt8(1163)),
+    contractTier: enumName(CONTRACT_TIERS, buffer.readUInt8(1164)),
+    pausedOperations: buffer.readUInt8(1165),
+    quoteSpotMarketIndex: buffer.readUInt16LE(1166),
+    feeAdjustment: buffer.readInt16LE(1168),
+    fuelBoostPosition: buffer.readUInt8(1170),
+    fuelBoostTaker: buffer.readUInt8(1171),
+    fuelBoostMaker: buffer.readUInt8(1172),
+    poolId: buffer.readUInt8(1173),
+    highLeverageMarginRatioInitial: buffer.readUInt16LE(1174),
+    highLeverageMarginRatioMaintenance: buffer.readUInt16LE(1176),
+    protectedMakerLimitPriceDivisor: buffer.readUInt8(1178),
+    protectedMakerDynamicDivisor: buffer.readUInt8(1179),
+    ...(version >= 2 ? {
+      lpFeeTransferScalar: buffer.readUInt8(1180),
+      lpStatus: buffer.readUInt8(1181),
+      lpPausedOperations: buffer.readUInt8(1182),
+      lpExchangeFeeExclusionScalar: buffer.readUInt8(1183),
+      lastFillPrice: readUnsignedBigInt64LE(buffer, 1184),
+      lpPoolId: buffer.readUInt8(1192),
+    } : {}),
+  };
+}
+
+module.exports = {
+  PERP_MARKET_SIZE,
+  decodeAMM,
+  decodePerpMarket,
+};
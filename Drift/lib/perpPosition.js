@@ -0,0 +1,120 @@
+/**
+ * perpPosition.js
+ *
+ * Valuation of decoded perp positions against their PerpMarket, following
+ * the Drift SDK math. Prices are PRICE_PRECISION (1e6), PnL and values
+ * QUOTE_PRECISION (1e6), base amounts BASE_PRECISION (1e9).
+ */
+
+const BN = require('bn.js');
+const {
+  PRICE_PRECISION,
+  AMM_RESERVE_PRECISION,
+  PEG_PRECISION,
+  AMM_TO_QUOTE_PRECISION_RATIO,
+  FUNDING_RATE_BUFFER_PRECISION,
+} = require('./constants');
+const { formatTokenAmount } = require('./spotBalance');
+
+// quote / base * peg, in PRICE_PRECISION
+function calculatePrice(baseAssetReserve, quoteAssetReserve, pegMultiplier) {
+  if (baseAssetReserve.isZero()) return new BN(0);
+  return quoteAssetReserve.mul(PRICE_PRECISION).mul(pegMultiplier).div(PEG_PRECISION).div(baseAssetReserve);
+}
+
+// Reserve, bid, ask and mark (bid/ask midpoint) prices of the AMM
+function getAmmPrices(amm) {
+  const reservePrice = calculatePrice(amm.baseAssetReserve, amm.quoteAssetReserve, amm.pegMultiplier);
+  const bidPrice = calculatePrice(amm.bidBaseAssetReserve, amm.bidQuoteAssetReserve, amm.pegMultiplier);
+  const askPrice = calculatePrice(amm.askBaseAssetReserve, amm.askQuoteAssetReserve, amm.pegMultiplier);
+  const markPrice = bidPrice.isZero() || askPrice.isZero() ? reservePrice : bidPrice.add(askPrice).divn(2);
+  return { reservePrice, bidPrice, askPrice, markPrice };
+}
+
+// |baseAssetAmount| * price, in QUOTE_PRECISION
+function calculateBaseAssetValue(baseAssetAmount, price) {
+  return baseAssetAmount.abs().mul(price).div(AMM_TO_QUOTE_PRECISION_RATIO).div(PRICE_PRECISION);
+}
+
+// Funding owed to (+) or by (-) the position since it last settled
+function calculateUnsettledFundingPnl(perpMarket, position) {
+  if (position.baseAssetAmount.isZero()) return new BN(0);
+  const ammCumulativeFundingRate = position.baseAssetAmount.isNeg()
+    ? perpMarket.amm.cumulativeFundingRateShort
+    : perpMarket.amm.cumulativeFundingRateLong;
+  return ammCumulativeFundingRate
+    .sub(position.lastCumulativeFundingRate)
+    .mul(position.baseAssetAmount)
+    .div(AMM_RESERVE_PRECISION)
+    .div(FUNDING_RATE_BUFFER_PRECISION)
+    .neg();
+}
+
+// Signed base value plus quoteAssetAmount, excluding funding
+function calculateUnrealizedPnl(position, price) {
+  const baseAssetValue = calculateBaseAssetValue(position.baseAssetAmount, price);
+  const signedValue = position.baseAssetAmount.isNeg() ? baseAssetValue.neg() : baseAssetValue;
+  return signedValue.add(position.quoteAssetAmount);
+}
+
+function calculateEntryPrice(position) {
+  if (position.baseAssetAmount.isZero()) return new BN(0);
+  return position.quoteEntryAmount.mul(PRICE_PRECISION).mul(AMM_TO_QUOTE_PRECISION_RATIO)
+    .div(position.baseAssetAmount).abs();
+}
+
+function calculateBreakEvenPrice(position) {
+  if (position.baseAssetAmount.isZero()) return new BN(0);
+  return position.quoteBreakEvenAmount.mul(PRICE_PRECISION).mul(AMM_TO_QUOTE_PRECISION_RATIO)
+    .div(position.baseAssetAmount).abs();
+}
+
+/**
+ * Mark/oracle price, unrealized PnL, unsettled funding and entry price of a
+ * perp position. `oraclePrice` (PRICE_PRECISION) defaults to the last oracle
+ * price recorded on the market; PnL is valued at the oracle price as Drift does.
+ */
+function valuePerpPosition(position, perpMarket, oraclePrice) {
+  const price = oraclePrice ? new BN(oraclePrice) : perpMarket.amm.historicalOracleData.lastOraclePrice;
+  const { markPrice } = getAmmPrices(perpMarket.amm);
+  const baseAssetValue = calculateBaseAssetValue(position.baseAssetAmount, price);
+  const unrealizedPnl = calculateUnrealizedPnl(position, price);
+  const unsettledFundingPnl = calculateUnsettledFundingPnl(perpMarket, position);
+  const entryPrice = calculateEntryPrice(position);
+  const breakEvenPrice = calculateBreakEvenPrice(position);
+
+  return {
+    marketIndex: position.marketIndex,
+    marketName: perpMarket.name,
+    direction: position.baseAssetAmount.isNeg() ? 'SHORT' : 'LONG',
+    oraclePrice: price,
+    markPrice,
+    entryPrice,
+    breakEvenPrice,
+    baseAssetValue,
+    unrealizedPnl,
+    unsettledFundingPnl,
+    totalPnl: unrealizedPnl.add(unsettledFundingPnl),
+    formatted: {
+      baseAssetAmount: formatTokenAmount(position.baseAssetAmount, 9),
+      oraclePrice: formatTokenAmount(price, 6),
+      markPrice: formatTokenAmount(markPrice, 6),
+      entryPrice: formatTokenAmount(entryPrice, 6),
+      breakEvenPrice: formatTokenAmount(breakEvenPrice, 6),
+      baseAssetValue: formatTokenAmount(baseAssetValue, 6),
+      unrealizedPnl: formatTokenAmount(unrealizedPnl, 6),
+      unsettledFundingPnl: formatTokenAmount(unsettledFundingPnl, 6),
+    },
+  };
+}
+
+module.exports = {
+  calculatePrice,
+  getAmmPrices,
+  calculateBaseAssetValue,
+  calculateUnsettledFundingPnl,
+  calculateUnrealizedPnl,
+  calculateEntryPrice,
+  calculateBreakEvenPrice,
+  valuePerpPosition,
+};
@@ -0,0 +1,63 @@
+/**
+ * readers.js
+ *
+ * Little-endian primitive readers shared by the Drift account decoders.
+ * Integers wider than 32 bits come back as BN, pubkeys as PublicKey;
+ * `serialize` turns any decoded object into plain decimal strings for JSON.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const BN = require('bn.js');
+
+// Read unsigned little-endian 64-bit as BN
+function readUnsignedBigInt64LE(buffer, offset) {
+  return new BN(buffer.subarray(offset, offset + 8), 'le');
+}
+
+// Read signed little-endian 64-bit as BN
+function readSignedBigInt64LE(buffer, offset) {
+  return new BN(buffer.subarray(offset, offset + 8), 'le').fromTwos(64);
+}
+
+// Read unsigned little-endian 128-bit as BN
+function readU128LE(buffer, offset) {
+  return new BN(buffer.subarray(offset, offset + 16), 'le');
+}
+
+// Read signed little-endian 128-bit as BN
+function readI128LE(buffer, offset) {
+  return new BN(buffer.subarray(offset, offset + 16), 'le').fromTwos(128);
+}
+
+// Read a 32-byte pubkey
+function readPublicKey(buffer, offset) {
+  return new PublicKey(buffer.subarray(offset, offset + 32));
+}
+
+// Read a fixed 32-byte name field (utf8, padded with spaces or zeros)
+function readName(buffer, offset) {
+  return buffer.subarray(offset, offset + 32).toString('utf8').replace(/[\s\0]+$/, '');
+}
+
+// Recursively convert BN / bigint / PublicKey values to strings
+function serialize(value) {
+  if (BN.isBN(value) || typeof value === 'bigint') return value.toString();
+  if (value instanceof PublicKey) return value.toBase58();
+  if (Array.isArray(value)) return value.map(serialize);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) out[key] = serialize(v);
+    return out;
+  }
+  return value;
+}
+
+module.exports = {
+  readUnsignedBigInt64LE,
+  readSignedBigInt64LE,
+  readU128LE,
+  readI128LE,
+  readPublicKey,
+  readName,
+  serialize,
+};
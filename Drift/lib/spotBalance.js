@@ -0,0 +1,128 @@
+/**
+ * spotBalance.js
+ *
+ * Converts a spot position's scaledBalance into token amounts using the
+ * market's cumulative interest, mirroring the on-chain formula:
+ *   deposit: scaledBalance * cumulativeDepositInterest / precisionDecrease (rounded down)
+ *   borrow:  scaledBalance * cumulativeBorrowInterest  / precisionDecrease (rounded up)
+ *   precisionDecrease = 10^(19 - decimals)
+ */
+
+const BN = require('bn.js');
+
+function getPrecisionDecrease(decimals) {
+  return new BN(10).pow(new BN(19 - decimals));
+}
+
+// Division rounding toward +infinity for non-negative operands
+function divCeil(a, b) {
+  const { div, mod } = a.divmod(b);
+  return mod.isZero() ? div : div.addn(1);
+}
+
+// Token amount (in base units) of a scaledBalance; always non-negative
+function getTokenAmount(scaledBalance, spotMarket, balanceType = 'DEPOSIT') {
+  const precisionDecrease = getPrecisionDecrease(spotMarket.decimals);
+  if (balanceType === 'BORROW') {
+    return divCeil(new BN(scaledBalance).mul(spotMarket.cumulativeBorrowInterest), precisionDecrease);
+  }
+  return new BN(scaledBalance).mul(spotMarket.cumulativeDepositInterest).div(precisionDecrease);
+}
+
+// Inverse of getTokenAmount: scaledBalance holding `tokenAmount`. Like the
+// program's get_spot_balance, roundUp adds one unit to any non-zero result,
+// even when the division is exact
+function getScaledBalance(tokenAmount, spotMarket, balanceType = 'DEPOSIT', roundUp = false) {
+  const interest = balanceType === 'BORROW'
+    ? spotMarket.cumulativeBorrowInterest
+    : spotMarket.cumulativeDepositInterest;
+  const scaled = new BN(tokenAmount).mul(getPrecisionDecrease(spotMarket.decimals));
+  const balance = scaled.div(interest);
+  return roundUp && !balance.isZero() ? balance.addn(1) : balance;
+}
+
+// Token amount with borrows negative
+function getSignedTokenAmount(tokenAmount, balanceType) {
+  return balanceType === 'BORROW' ? tokenAmount.neg() : tokenAmount;
+}
+
+// Format base units as a human decimal string (no float rounding)
+function formatTokenAmount(amount, decimals) {
+  const value = new BN(amount);
+  const base = new BN(10).pow(new BN(decimals));
+  const sign = value.isNeg() ? '-' : '';
+  const abs = value.abs();
+  const whole = abs.div(base);
+  const frac = abs.mod(base).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return frac ? `${sign}${whole.toString()}.${frac}` : `${sign}${whole.toString()}`;
+}
+
+// Inverse of formatTokenAmount: '1.5' with 9 decimals -> BN 1500000000
+function parseTokenAmount(text, decimals) {
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(String(text).trim());
+  if (!match || (!match[1] && !match[2])) throw new Error(`Invalid token amount: ${text}`);
+  const frac = match[2] || '';
+  if (frac.length > decimals) throw new Error(`Token amount ${text} has more than ${decimals} decimals`);
+  return new BN((match[1] || '0') + frac.padEnd(decimals, '0'));
+}
+
+// Token amounts of one decoded spot position against its market
+function getSpotPositionBalance(position, spotMarket) {
+  const tokenAmount = getTokenAmount(position.scaledBalance, spotMarket, position.balanceType);
+  const signedTokenAmount = getSignedTokenAmount(tokenAmount, position.balanceType);
+  return {
+    marketIndex: position.marketIndex,
+    balanceType: position.balanceType,
+    tokenAmount,
+    signedTokenAmount,
+    trueBalance: formatTokenAmount(signedTokenAmount, spotMarket.decimals),
+  };
+}
+
+/**
+ * Deposits, borrows and signed net balance per market.
+ * `spotMarkets` maps marketIndex -> decoded SpotMarket; positions whose
+ * market is missing are skipped.
+ */
+function getNetBalances(spotPositions, spotMarkets) {
+  const byMarket = new Map();
+  for (const position of spotPositions) {
+    const market = spotMarkets[position.marketIndex];
+    if (!market) continue;
+    if (!byMarket.has(position.marketIndex)) {
+      byMarket.set(position.marketIndex, {
+        marketIndex: position.marketIndex,
+        decimals: market.decimals,
+        depositAmount: new BN(0),
+        borrowAmount: new BN(0),
+      });
+    }
+    const entry = byMarket.get(position.marketIndex);
+    const { tokenAmount } = getSpotPositionBalance(position, market);
+    if (position.balanceType === 'BORROW') entry.borrowAmount.iadd(tokenAmount);
+    else entry.depositAmount.iadd(tokenAmount);
+  }
+
+  return [...byMarket.values()].map(entry => {
+    const netAmount = entry.depositAmount.sub(entry.borrowAmount);
+    return {
+      ...entry,
+      netAmount,
+      deposit: formatTokenAmount(entry.depositAmount, entry.decimals),
+      borrow: formatTokenAmount(entry.borrowAmount, entry.decimals),
+      net: formatTokenAmount(netAmount, entry.decimals),
+    };
+  });
+}
+
+module.exports = {
+  getPrecisionDecrease,
+  divCeil,
+  getTokenAmount,
+  getScaledBalance,
+  getSignedTokenAmount,
+  formatTokenAmount,
+  parseTokenAmount,
+  getSpotPositionBalance,
+  getNetBalances,
+};
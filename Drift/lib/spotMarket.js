@@ -0,0 +1,111 @@
+/**
+ * spotMarket.js
+ *
+ * Decoder for the Drift `SpotMarket` account (776 bytes).
+ *
+ * Precisions of the raw values returned:
+ *   prices / oracle data          PRICE_PRECISION        1e6
+ *   balances, cumulative interest SPOT_BALANCE 1e9 / SPOT_CUMULATIVE_INTEREST 1e10
+ *   asset / liability weights     SPOT_WEIGHT_PRECISION  1e4
+ *   utilization, borrow rates     SPOT_UTILIZATION / SPOT_RATE 1e6
+ *   imfFactor, liquidation fees   1e6
+ */
+
+const {
+  readUnsignedBigInt64LE,
+  readSignedBigInt64LE,
+  readU128LE,
+  readPublicKey,
+  readName,
+} = require('./readers');
+const {
+  decodeHistoricalOracleData,
+  decodeHistoricalIndexData,
+  decodePoolBalance,
+  decodeInsuranceFund,
+} = require('./structs');
+const { ORACLE_SOURCES, MARKET_STATUSES, ASSET_TIERS, enumName } = require('./enums');
+const { ACCOUNT_SIZES, assertAccountType } = require('./accounts');
+
+// Field offsets follow the SpotMarket struct (repr(C)) in the Drift IDL; identical in layouts v1 and v2
+const SPOT_MARKET_SIZE = ACCOUNT_SIZES.SpotMarket;
+
+function decodeSpotMarket(buffer) {
+  assertAccountType(buffer, 'SpotMarket');
+  return {
+    pubkey: readPublicKey(buffer, 8),
+    oracle: readPublicKey(buffer, 40),
+    mint: readPublicKey(buffer, 72),
+    vault: readPublicKey(buffer, 104),
+    name: readName(buffer, 136),
+    historicalOracleData: decodeHistoricalOracleData(buffer, 168),
+    historicalIndexData: decodeHistoricalIndexData(buffer, 216),
+    revenuePool: decodePoolBalance(buffer, 256),
+    spotFeePool: decodePoolBalance(buffer, 280),
+    insuranceFund: decodeInsuranceFund(buffer, 304),
+    totalSpotFee: readU128LE(buffer, 416),
+
+    // Interest-bearing balances (u128)
+    depositBalance: readU128LE(buffer, 432),
+    borrowBalance: readU128LE(buffer, 448),
+    cumulativeDepositInterest: readU128LE(buffer, 464),
+    cumulativeBorrowInterest: readU128LE(buffer, 480),
+    totalSocialLoss: readU128LE(buffer, 496),
+    totalQuoteSocialLoss: readU128LE(buffer, 512),
+
+    withdrawGuardThreshold: readUnsignedBigInt64LE(buffer, 528),
+    maxTokenDeposits: readUnsignedBigInt64LE(buffer, 536),
+    depositTokenTwap: readUnsignedBigInt64LE(buffer, 544),
+    borrowTokenTwap: readUnsignedBigInt64LE(buffer, 552),
+    utilizationTwap: readUnsignedBigInt64LE(buffer, 560),
+    lastInterestTs: readUnsignedBigInt64LE(buffer, 568),
+    lastTwapTs: readUnsignedBigInt64LE(buffer, 576),
+    expiryTs: readSignedBigInt64LE(buffer, 584),
+    orderStepSize: readUnsignedBigInt64LE(buffer, 592),
+    orderTickSize: readUnsignedBigInt64LE(buffer, 600),
+    minOrderSize: readUnsignedBigInt64LE(buffer, 608),
+    maxPositionSize: readUnsignedBigInt64LE(buffer, 616),
+    nextFillRecordId: readUnsignedBigInt64LE(buffer, 624),
+    nextDepositRecordId: readUnsignedBigInt64LE(buffer, 632),
+
+    // Risk parameters and interest-rate curve (u32)
+    initialAssetWeight: buffer.readUInt32LE(640),
+    maintenanceAssetWeight: buffer.readUInt32LE(644),
+    initialLiabilityWeight: buffer.readUInt32LE(648),
+    maintenanceLiabilityWeight: buffer.readUInt32LE(652),
+    imfFactor: buffer.readUInt32LE(656),
+    liquidatorFee: buffer.readUInt32LE(660),
+    ifLiquidationFee: buffer.readUInt32LE(664),
+    optimalUtilization: buffer.readUInt32LE(668),
+    optimalBorrowRate: buffer.readUInt32LE(672),
+    maxBorrowRate: buffer.readUInt32LE(676),
+
+    decimals: buffer.readUInt32LE(680),
+    marketIndex: buffer.readUInt16LE(684),
+    ordersEnabled: Boolean(buffer.readUInt8(686)),
+    oracleSource: enumName(ORACLE_SOURCES, buffer.readUInt8(687)),
+    status: enumName(MARKET_STATUSES, buffer.readUInt8(688)),
+    assetTier: enumName(ASSET_TIERS, buffer.readUInt8(689)),
+    pausedOperations: buffer.readUInt8(690),
+    ifPausedOperations: buffer.readUInt8(691),
+    feeAdjustment: buffer.readInt16LE(692),
+    maxTokenBorrowsFraction: buffer.readUInt16LE(694),
+    flashLoanAmount: readUnsignedBigInt64LE(buffer, 696),
+    flashLoanInitialTokenAmount: readUnsignedBigInt64LE(buffer, 704),
+    totalSwapFee: readUnsignedBigInt64LE(buffer, 712),
+    scaleInitialAssetWeightStart: readUnsignedBigInt64LE(buffer, 720),
+    minBorrowRate: buffer.readUInt8(728),
+    fuelBoostDeposits: buffer.readUInt8(729),
+    fuelBoostBorrows: buffer.readUInt8(730),
+    fuelBoostTaker: buffer.readUInt8(731),
+    fuelBoostMaker: buffer.readUInt8(732),
+    fuelBoostInsurance: buffer.readUInt8(733),
+    tokenProgram: buffer.readUInt8(734),
+    poolId: buffer.readUInt8(735),
+  };
+}
+
+module.exports = {
+  SPOT_MARKET_SIZE,
+  decodeSpotMarket,
+};
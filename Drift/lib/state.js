@@ -0,0 +1,96 @@
+/**
+ * state.js
+ *
+ * Decoder for the Drift `State` account (single PDA, seeds ["drift_state"]):
+ * global counters, oracle guard rails and the perp / spot fee structures.
+ * Fee tiers are numerator / denominator pairs; fee = amount × numerator / denominator.
+ */
+
+const {
+  readUnsignedBigInt64LE,
+  readSignedBigInt64LE,
+  readU128LE,
+  readPublicKey,
+} = require('./readers');
+const { ACCOUNT_SIZES, assertAccountType } = require('./accounts');
+
+// Field offsets follow the State struct (repr(C)) in the Drift IDL
+const STATE_SIZE = ACCOUNT_SIZES.State;
+
+// OracleGuardRails: 48 bytes at offset 888
+function decodeOracleGuardRails(buffer, offset) {
+  return {
+    markOraclePercentDivergence: readUnsignedBigInt64LE(buffer, offset),
+    oracleTwap5minPercentDivergence: readUnsignedBigInt64LE(buffer, offset + 8),
+    slotsBeforeStaleForAmm: readSignedBigInt64LE(buffer, offset + 16),
+    slotsBeforeStaleForMargin: readSignedBigInt64LE(buffer, offset + 24),
+    confidenceIntervalMaxSize: readUnsignedBigInt64LE(buffer, offset + 32),
+    tooVolatileRatio: readSignedBigInt64LE(buffer, offset + 40),
+  };
+}
+
+// FeeTier: 8 × u32 (32 bytes)
+function decodeFeeTier(buffer, offset) {
+  return {
+    feeNumerator: buffer.readUInt32LE(offset),
+    feeDenominator: buffer.readUInt32LE(offset + 4),
+    makerRebateNumerator: buffer.readUInt32LE(offset + 8),
+    makerRebateDenominator: buffer.readUInt32LE(offset + 12),
+    referrerRewardNumerator: buffer.readUInt32LE(offset + 16),
+    referrerRewardDenominator: buffer.readUInt32LE(offset + 20),
+    refereeFeeNumerator: buffer.readUInt32LE(offset + 24),
+    refereeFeeDenominator: buffer.readUInt32LE(offset + 28),
+  };
+}
+
+// FeeStructure: 360 bytes; perp at offset 168, spot at 528
+function decodeFeeStructure(buffer, offset) {
+  const feeTiers = [];
+  for (let i = 0; i < 10; i++) feeTiers.push(decodeFeeTier(buffer, offset + i * 32));
+  return {
+    feeTiers,
+    fillerRewardStructure: {
+      rewardNumerator: buffer.readUInt32LE(offset + 320),
+      rewardDenominator: buffer.readUInt32LE(offset + 324),
+      timeBasedRewardLowerBound: readU128LE(buffer, offset + 328),
+    },
+    referrerRewardEpochUpperBound: readUnsignedBigInt64LE(buffer, offset + 344),
+    flatFillerFee: readUnsignedBigInt64LE(buffer, offset + 352),
+  };
+}
+
+function decodeState(buffer) {
+  assertAccountType(buffer, 'State');
+  return {
+    admin: readPublicKey(buffer, 8),
+    whitelistMint: readPublicKey(buffer, 40),
+    discountMint: readPublicKey(buffer, 72),
+    signer: readPublicKey(buffer, 104),
+    srmVault: readPublicKey(buffer, 136),
+    perpFeeStructure: decodeFeeStructure(buffer, 168),
+    spotFeeStructure: decodeFeeStructure(buffer, 528),
+    oracleGuardRails: decodeOracleGuardRails(buffer, 888),
+    numberOfAuthorities: readUnsignedBigInt64LE(buffer, 936),
+    numberOfSubAccounts: readUnsignedBigInt64LE(buffer, 944),
+    lpCooldownTime: readUnsignedBigInt64LE(buffer, 952),
+    liquidationMarginBufferRatio: buffer.readUInt32LE(960),
+    settlementDuration: buffer.readUInt16LE(964),
+    numberOfMarkets: buffer.readUInt16LE(966),
+    numberOfSpotMarkets: buffer.readUInt16LE(968),
+    signerNonce: buffer.readUInt8(970),
+    minPerpAuctionDuration: buffer.readUInt8(971),
+    defaultMarketOrderTimeInForce: buffer.readUInt8(972),
+    defaultSpotAuctionDuration: buffer.readUInt8(973),
+    exchangeStatus: buffer.readUInt8(974),
+    liquidationDuration: buffer.readUInt8(975),
+    initialPctToLiquidate: buffer.readUInt16LE(976),
+    maxNumberOfSubAccounts: buffer.readUInt16LE(978),
+    maxInitializeUserFee: buffer.readUInt16LE(980),
+  };
+}
+
+module.exports = {
+  STATE_SIZE,
+  decodeFeeStructure,
+  decodeState,
+};
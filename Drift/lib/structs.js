@@ -0,0 +1,78 @@
+/**
+ * structs.js
+ *
+ * Decoders for the small structs embedded in several Drift accounts
+ * (SpotMarket, PerpMarket). Each takes the struct's absolute offset.
+ */
+
+const {
+  readUnsignedBigInt64LE,
+  readSignedBigInt64LE,
+  readU128LE,
+  readPublicKey,
+} = require('./readers');
+
+// HistoricalOracleData: 48 bytes
+function decodeHistoricalOracleData(buffer, offset) {
+  return {
+    lastOraclePrice: readSignedBigInt64LE(buffer, offset),
+    lastOracleConf: readUnsignedBigInt64LE(buffer, offset + 8),
+    lastOracleDelay: readSignedBigInt64LE(buffer, offset + 16),
+    lastOraclePriceTwap: readSignedBigInt64LE(buffer, offset + 24),
+    lastOraclePriceTwap5min: readSignedBigInt64LE(buffer, offset + 32),
+    lastOraclePriceTwapTs: readSignedBigInt64LE(buffer, offset + 40),
+  };
+}
+
+// HistoricalIndexData: 40 bytes
+function decodeHistoricalIndexData(buffer, offset) {
+  return {
+    lastIndexBidPrice: readUnsignedBigInt64LE(buffer, offset),
+    lastIndexAskPrice: readUnsignedBigInt64LE(buffer, offset + 8),
+    lastIndexPriceTwap: readUnsignedBigInt64LE(buffer, offset + 16),
+    lastIndexPriceTwap5min: readUnsignedBigInt64LE(buffer, offset + 24),
+    lastIndexPriceTwapTs: readSignedBigInt64LE(buffer, offset + 32),
+  };
+}
+
+// PoolBalance: 24 bytes
+function decodePoolBalance(buffer, offset) {
+  return {
+    scaledBalance: readU128LE(buffer, offset),
+    marketIndex: buffer.readUInt16LE(offset + 16),
+  };
+}
+
+// InsuranceFund: 112 bytes
+function decodeInsuranceFund(buffer, offset) {
+  return {
+    vault: readPublicKey(buffer, offset),
+    totalShares: readU128LE(buffer, offset + 32),
+    userShares: readU128LE(buffer, offset + 48),
+    sharesBase: readU128LE(buffer, offset + 64),
+    unstakingPeriod: readSignedBigInt64LE(buffer, offset + 80),
+    lastRevenueSettleTs: readSignedBigInt64LE(buffer, offset + 88),
+    revenueSettlePeriod: readSignedBigInt64LE(buffer, offset + 96),
+    totalFactor: buffer.readUInt32LE(offset + 104),
+    userFactor: buffer.readUInt32LE(offset + 108),
+  };
+}
+
+// InsuranceClaim: 40 bytes
+function decodeInsuranceClaim(buffer, offset) {
+  return {
+    revenueWithdrawSinceLastSettle: readSignedBigInt64LE(buffer, offset),
+    maxRevenueWithdrawPerPeriod: readUnsignedBigInt64LE(buffer, offset + 8),
+    quoteMaxInsurance: readUnsignedBigInt64LE(buffer, offset + 16),
+    quoteSettledInsurance: readUnsignedBigInt64LE(buffer, offset + 24),
+    lastRevenueWithdrawTs: readSignedBigInt64LE(buffer, offset + 32),
+  };
+}
+
+module.exports = {
+  decodeHistoricalOracleData,
+  decodeHistoricalIndexData,
+  decodePoolBalance,
+  decodeInsuranceFund,
+  decodeInsuranceClaim,
+};
@@ -0,0 +1,180 @@
+/**
+ * subscribe.js
+ *
+ * Live balance tracking over websockets. The User account and every
+ * SpotMarket it holds are watched with accountSubscribe (web3.js
+ * onAccountChange); on each notification the balances are recomputed as in
+ * getUserMarketBalance.js and a change event is emitted for every market
+ * whose balance moved:
+ *   { user, marketIndex, market, reason, oldTrueBalance, newTrueBalance,
+ *     delta, oldTokenAmount, newTokenAmount, deltaTokenAmount, slot }
+ * reason is 'position' when the User account changed (deposit, withdraw,
+ * borrow, fill) and 'interest' when only the SpotMarket's cumulative
+ * interest moved.
+ *
+ * Accounts are subscribed before their initial state is fetched, so no
+ * update is lost in between; notifications older than the fetched state
+ * (by context.slot) are dropped.
+ */
+
+const BN = require('bn.js');
+const { PublicKey } = require('@solana/web3.js');
+const { decodeUser } = require('./user');
+const { decodeSpotMarket } = require('./spotMarket');
+const { getNetBalances, formatTokenAmount } = require('./spotBalance');
+const { getSpotMarketPublicKey, DRIFT_PROGRAM_ID } = require('./pda');
+
+// SpotMarkets as fetchSpotMarkets returns them, plus the slot they were read at
+async function fetchSpotMarketsWithSlot(conn, marketIndexes, programId, commitment) {
+  const indexes = [...new Set(marketIndexes)];
+  const pubkeys = indexes.map(i => getSpotMarketPublicKey(i, programId));
+  const { context, value: infos } = await conn.getMultipleAccountsInfoAndContext(pubkeys, commitment);
+
+  const markets = {};
+  infos.forEach((info, i) => {
+    if (!info) throw new Error(`SpotMarket ${indexes[i]} not found at ${pubkeys[i].toBase58()}`);
+    markets[indexes[i]] = decodeSpotMarket(info.data);
+  });
+  return { markets, slot: context.slot };
+}
+
+// { [marketIndex]: { tokenAmount, trueBalance, decimals, name } }
+function snapshotBalances(user, markets) {
+  const snapshot = {};
+  for (const net of getNetBalances(user.spotPositions, markets)) {
+    snapshot[net.marketIndex] = {
+      tokenAmount: net.netAmount,
+      trueBalance: net.net,
+      decimals: net.decimals,
+      name: markets[net.marketIndex].name,
+    };
+  }
+  return snapshot;
+}
+
+// Events for every market whose net token amount differs between two snapshots
+function diffBalances(userPubkey, previous, current, reason, slot) {
+  const events = [];
+  const indexes = new Set([...Object.keys(previous), ...Object.keys(current)].map(Number));
+  for (const marketIndex of indexes) {
+    const before = previous[marketIndex];
+    const after = current[marketIndex];
+    const oldAmount = before ? before.tokenAmount : new BN(0);
+    const newAmount = after ? after.tokenAmount : new BN(0);
+    if (oldAmount.eq(newAmount)) continue;
+    const { decimals, name } = after || before;
+    const delta = newAmount.sub(oldAmount);
+    events.push({
+      user: userPubkey,
+      marketIndex,
+      market: name,
+      reason,
+      oldTrueBalance: formatTokenAmount(oldAmount, decimals),
+      newTrueBalance: formatTokenAmount(newAmount, decimals),
+      delta: formatTokenAmount(delta, decimals),
+      oldTokenAmount: oldAmount,
+      newTokenAmount: newAmount,
+      deltaTokenAmount: delta,
+      slot,
+    });
+  }
+  return events;
+}
+
+/**
+ * Watch `userPubkey` and call onChange(event) for each balance change.
+ * Needs a web3.js Connection with a websocket endpoint. Resolves to an
+ * async unsubscribe() once the initial state is loaded.
+ *   options.commitment  default 'confirmed'
+ *   options.onError     called with errors raised while handling a notification
+ */
+async function subscribeUserBalances(conn, userPubkey, onChange, options = {}) {
+  if (typeof conn.onAccountChange !== 'function') {
+    throw new Error('Subscriptions need an RPC connection with websocket support');
+  }
+  const programId = options.programId || DRIFT_PROGRAM_ID;
+  const commitment = options.commitment || 'confirmed';
+  const onError = options.onError || (err => console.error(err));
+  const userKey = new PublicKey(userPubkey);
+
+  let user = null;
+  let userSlot = 0;
+  let balances = {};
+  const markets = {};
+  const marketSlots = {};
+  const subscriptions = [];
+  const watchedMarkets = new Set();
+
+  // Notifications are handled one at a time so snapshots never interleave
+  let queue = Promise.resolve();
+  const enqueue = task => {
+    queue = queue.then(task).catch(onError);
+  };
+
+  const recompute = (reason, slot) => {
+    const next = snapshotBalances(user, markets);
+    const events = diffBalances(userKey.toBase58(), balances, next, reason, slot);
+    balances = next;
+    events.forEach(onChange);
+  };
+
+  const watchMarket = marketIndex => {
+    if (watchedMarkets.has(marketIndex)) return;
+    watchedMarkets.add(marketIndex);
+    const marketKey = getSpotMarketPublicKey(marketIndex, programId);
+    subscriptions.push(conn.onAccountChange(marketKey, (info, context) => enqueue(() => {
+      if (context.slot < (marketSlots[marketIndex] || 0)) return;
+      marketSlots[marketIndex] = context.slot;
+      markets[marketIndex] = decodeSpotMarket(info.data);
+      recompute('interest', context.slot);
+    }), commitment));
+  };
+
+  // Subscribe first, then fetch: an update landing in between is delivered after the fetch
+  const loadMarkets = async marketIndexes => {
+    marketIndexes.forEach(watchMarket);
+    const { markets: fetched, slot } = await fetchSpotMarketsWithSlot(conn, marketIndexes, programId, commitment);
+    for (const [marketIndex, market] of Object.entries(fetched)) {
+      markets[marketIndex] = market;
+      marketSlots[marketIndex] = slot;
+    }
+  };
+
+  subscriptions.push(conn.onAccountChange(userKey, (info, context) => enqueue(async () => {
+    if (context.slot < userSlot) return;
+    userSlot = context.slot;
+    user = decodeUser(info.data);
+    // A deposit into a new market needs that market before balances can be computed
+    const newIndexes = user.spotPositions.map(p => p.marketIndex).filter(i => !markets[i]);
+    if (newIndexes.length) await loadMarkets(newIndexes);
+    recompute('position', context.slot);
+  }), commitment));
+
+  const unsubscribe = async () => {
+    await Promise.all(subscriptions.map(id => conn.removeAccountChangeListener(id)));
+  };
+
+  // Notifications received meanwhile wait in the queue behind the initial state
+  const initialLoad = (async () => {
+    const { context, value: userInfo } = await conn.getAccountInfoAndContext(userKey, commitment);
+    if (!userInfo) throw new Error(`User account ${userKey.toBase58()} not found`);
+    user = decodeUser(userInfo.data);
+    userSlot = context.slot;
+    await loadMarkets(user.spotPositions.map(p => p.marketIndex));
+    balances = snapshotBalances(user, markets);
+  })();
+  queue = initialLoad.catch(() => {});
+  try {
+    await initialLoad;
+  } catch (err) {
+    await unsubscribe();
+    throw err;
+  }
+  return unsubscribe;
+}
+
+module.exports = {
+  snapshotBalances,
+  diffBalances,
+  subscribeUserBalances,
+};
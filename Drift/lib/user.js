@@ -0,0 +1,197 @@
+/**
+ * user.js
+ *
+ * Decoder for the Drift `User` account (one per authority + sub-account).
+ * Only non-empty spot and perp positions and orders are returned.
+ *
+ * Order precisions: price / triggerPrice / auction prices PRICE_PRECISION
+ * (1e6), base amounts BASE_PRECISION (1e9) for perps or the token's decimals
+ * for spot, quote amounts QUOTE_PRECISION (1e6).
+ */
+
+const {
+  readUnsignedBigInt64LE,
+  readSignedBigInt64LE,
+  readPublicKey,
+  readName,
+} = require('./readers');
+const {
+  ORDER_STATUSES,
+  ORDER_TYPES,
+  MARKET_TYPES,
+  POSITION_DIRECTIONS,
+  ORDER_TRIGGER_CONDITIONS,
+  MARGIN_MODES,
+  USER_STATUS_FLAGS,
+  ORDER_BIT_FLAGS,
+  enumName,
+  flagNames,
+} = require('./enums');
+const {
+  ACCOUNT_SIZES,
+  DEFAULT_LAYOUT_VERSION,
+  assertAccountType,
+  resolveLayoutVersion,
+} = require('./accounts');
+
+// Offsets for User struct (repr(C), after the 8-byte discriminator)
+const AUTHORITY_OFFSET = 8;
+const DELEGATE_OFFSET = 40;
+const NAME_OFFSET = 72;
+const SPOT_POSITIONS_OFFSET = 104;
+const SPOT_POSITION_SIZE = 40;
+const PERP_POSITIONS_OFFSET = SPOT_POSITIONS_OFFSET + 8 * SPOT_POSITION_SIZE;
+const PERP_POSITION_SIZE = 96;
+const ORDERS_OFFSET = PERP_POSITIONS_OFFSET + 8 * PERP_POSITION_SIZE;
+const ORDER_SIZE = 96;
+const NUMBER_OF_ORDERS = 32;
+const USER_SIZE = ACCOUNT_SIZES.User;
+
+function decodeSpotPosition(buffer, offset) {
+  const scaledBalance = readUnsignedBigInt64LE(buffer, offset);
+  const openOrders = buffer.readUInt8(offset + 35);
+  if (scaledBalance.isZero() && openOrders === 0) return null;
+  return {
+    scaledBalance,
+    openBids: readSignedBigInt64LE(buffer, offset + 8),
+    openAsks: readSignedBigInt64LE(buffer, offset + 16),
+    cumulativeDeposits: readSignedBigInt64LE(buffer, offset + 24),
+    marketIndex: buffer.readUInt16LE(offset + 32),
+    balanceType: buffer.readUInt8(offset + 34) === 0 ? 'DEPOSIT' : 'BORROW',
+    openOrders,
+  };
+}
+
+// Layout v2 replaced remainderBaseAssetAmount (i32 @88) with padding + maxMarginRatio (u16 @90)
+function decodePerpPosition(buffer, offset, layoutVersion = DEFAULT_LAYOUT_VERSION) {
+  const baseAssetAmount = readSignedBigInt64LE(buffer, offset + 8);
+  const quoteAssetAmount = readSignedBigInt64LE(buffer, offset + 16);
+  const lpShares = readUnsignedBigInt64LE(buffer, offset + 64);
+  const openOrders = buffer.readUInt8(offset + 94);
+  if (baseAssetAmount.isZero() && quoteAssetAmount.isZero() && lpShares.isZero() && openOrders === 0) {
+    return null;
+  }
+  return {
+    lastCumulativeFundingRate: readSignedBigInt64LE(buffer, offset),
+    baseAssetAmount,
+    quoteAssetAmount,
+    quoteBreakEvenAmount: readSignedBigInt64LE(buffer, offset + 24),
+    quoteEntryAmount: readSignedBigInt64LE(buffer, offset + 32),
+    openBids: readSignedBigInt64LE(buffer, offset + 40),
+    openAsks: readSignedBigInt64LE(buffer, offset + 48),
+    settledPnl: readSignedBigInt64LE(buffer, offset + 56),
+    lpShares,
+    lastBaseAmountPerLp: readSignedBigInt64LE(buffer, offset + 72),
+    lastQuoteAmountPerLp: readSignedBigInt64LE(buffer, offset + 80),
+    ...(layoutVersion >= 2
+      ? { maxMarginRatio: buffer.readUInt16LE(offset + 90) }
+      : { remainderBaseAssetAmount: buffer.readInt32LE(offset + 88) }),
+    marketIndex: buffer.readUInt16LE(offset + 92),
+    openOrders,
+    perLpBase: buffer.readInt8(offset + 95),
+  };
+}
+
+// Order slots whose status is Init are free and skipped
+function decodeOrder(buffer, offset) {
+  const status = buffer.readUInt8(offset + 82);
+  if (status === 0) return null;
+  const baseAssetAmount = readUnsignedBigInt64LE(buffer, offset + 16);
+  const baseAssetAmountFilled = readUnsignedBigInt64LE(buffer, offset + 24);
+  const maxTs = readSignedBigInt64LE(buffer, offset + 64);
+  return {
+    orderId: buffer.readUInt32LE(offset + 76),
+    userOrderId: buffer.readUInt8(offset + 85),
+    marketIndex: buffer.readUInt16LE(offset + 80),
+    marketType: enumName(MARKET_TYPES, buffer.readUInt8(offset + 84)),
+    status: enumName(ORDER_STATUSES, status),
+    orderType: enumName(ORDER_TYPES, buffer.readUInt8(offset + 83)),
+    direction: enumName(POSITION_DIRECTIONS, buffer.readUInt8(offset + 87)),
+    existingPositionDirection: enumName(POSITION_DIRECTIONS, buffer.readUInt8(offset + 86)),
+    slot: readUnsignedBigInt64LE(buffer, offset),
+    price: readUnsignedBigInt64LE(buffer, offset + 8),
+    baseAssetAmount,
+    baseAssetAmountFilled,
+    baseAssetAmountUnfilled: baseAssetAmount.sub(baseAssetAmountFilled),
+    quoteAssetAmountFilled: readUnsignedBigInt64LE(buffer, offset + 32),
+    triggerPrice: readUnsignedBigInt64LE(buffer, offset + 40),
+    triggerCondition: enumName(ORDER_TRIGGER_CONDITIONS, buffer.readUInt8(offset + 91)),
+    auctionStartPrice: readSignedBigInt64LE(buffer, offset + 48),
+    auctionEndPrice: readSignedBigInt64LE(buffer, offset + 56),
+    auctionDuration: buffer.readUInt8(offset + 92),
+    oraclePriceOffset: buffer.readInt32LE(offset + 72),
+    // maxTs of 0 means the order never expires
+    maxTs,
+    expiresAt: maxTs.isZero() ? null : new Date(maxTs.toNumber() * 1000).toISOString(),
+    reduceOnly: Boolean(buffer.readUInt8(offset + 88)),
+    postOnly: Boolean(buffer.readUInt8(offset + 89)),
+    immediateOrCancel: Boolean(buffer.readUInt8(offset + 90)),
+    postedSlotTail: buffer.readUInt8(offset + 93),
+    bitFlags: flagNames(ORDER_BIT_FLAGS, buffer.readUInt8(offset + 94)),
+  };
+}
+
+function decodeUser(buffer, { layoutVersion } = {}) {
+  assertAccountType(buffer, 'User');
+  const version = resolveLayoutVersion(layoutVersion);
+
+  const spotPositions = [];
+  for (let i = 0; i < 8; i++) {
+    const position = decodeSpotPosition(buffer, SPOT_POSITIONS_OFFSET + i * SPOT_POSITION_SIZE);
+    if (position) spotPositions.push(position);
+  }
+
+  const perpPositions = [];
+  for (let i = 0; i < 8; i++) {
+    const position = decodePerpPosition(buffer, PERP_POSITIONS_OFFSET + i * PERP_POSITION_SIZE, version);
+    if (position) perpPositions.push(position);
+  }
+
+  const orders = [];
+  for (let i = 0; i < NUMBER_OF_ORDERS; i++) {
+    const order = decodeOrder(buffer, ORDERS_OFFSET + i * ORDER_SIZE);
+    if (order) orders.push(order);
+  }
+
+  const status = buffer.readUInt8(4348);
+  return {
+    authority: readPublicKey(buffer, AUTHORITY_OFFSET),
+    delegate: readPublicKey(buffer, DELEGATE_OFFSET),
+    name: readName(buffer, NAME_OFFSET),
+    spotPositions,
+    perpPositions,
+    orders,
+    lastAddPerpLpSharesTs: readSignedBigInt64LE(buffer, 4264),
+    totalDeposits: readUnsignedBigInt64LE(buffer, 4272),
+    totalWithdraws: readUnsignedBigInt64LE(buffer, 4280),
+    totalSocialLoss: readUnsignedBigInt64LE(buffer, 4288),
+    settledPerpPnl: readSignedBigInt64LE(buffer, 4296),
+    cumulativeSpotFees: readSignedBigInt64LE(buffer, 4304),
+    cumulativePerpFunding: readSignedBigInt64LE(buffer, 4312),
+    liquidationMarginFreed: readUnsignedBigInt64LE(buffer, 4320),
+    lastActiveSlot: readUnsignedBigInt64LE(buffer, 4328),
+    nextOrderId: buffer.readUInt32LE(4336),
+    maxMarginRatio: buffer.readUInt32LE(4340),
+    nextLiquidationId: buffer.readUInt16LE(4344),
+    subAccountId: buffer.readUInt16LE(4346),
+    status: flagNames(USER_STATUS_FLAGS, status),
+    rawStatus: status,
+    isMarginTradingEnabled: Boolean(buffer.readUInt8(4349)),
+    idle: Boolean(buffer.readUInt8(4350)),
+    openOrders: buffer.readUInt8(4351),
+    hasOpenOrder: Boolean(buffer.readUInt8(4352)),
+    openAuctions: buffer.readUInt8(4353),
+    hasOpenAuction: Boolean(buffer.readUInt8(4354)),
+    marginMode: enumName(MARGIN_MODES, buffer.readUInt8(4355)),
+    poolId: buffer.readUInt8(4356),
+    lastFuelBonusUpdateTs: buffer.readUInt32LE(4360),
+  };
+}
+
+module.exports = {
+  USER_SIZE,
+  decodeUser,
+  decodeSpotPosition,
+  decodePerpPosition,
+  decodeOrder,
+};
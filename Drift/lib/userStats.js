@@ -0,0 +1,70 @@
+/**
+ * userStats.js
+ *
+ * Decoder for the Drift `UserStats` account (one per authority): referrer,
+ * lifetime fee totals, rolling 30-day maker / taker / filler volume,
+ * sub-account counters, insurance fund stake used for fee tiers and FUEL
+ * points. Fee and volume amounts are QUOTE_PRECISION (1e6).
+ */
+
+const {
+  readUnsignedBigInt64LE,
+  readSignedBigInt64LE,
+  readPublicKey,
+} = require('./readers');
+const { ACCOUNT_SIZES, assertAccountType } = require('./accounts');
+const { REFERRER_STATUS_FLAGS, flagNames } = require('./enums');
+
+// Field offsets follow the UserStats struct (repr(C)) in the Drift IDL
+const USER_STATS_SIZE = ACCOUNT_SIZES.UserStats;
+
+// UserFees: 6 × u64 at offset 72
+function decodeUserFees(buffer, offset) {
+  return {
+    totalFeePaid: readUnsignedBigInt64LE(buffer, offset),
+    totalFeeRebate: readUnsignedBigInt64LE(buffer, offset + 8),
+    totalTokenDiscount: readUnsignedBigInt64LE(buffer, offset + 16),
+    totalRefereeDiscount: readUnsignedBigInt64LE(buffer, offset + 24),
+    totalReferrerReward: readUnsignedBigInt64LE(buffer, offset + 32),
+    currentEpochReferrerReward: readUnsignedBigInt64LE(buffer, offset + 40),
+  };
+}
+
+function decodeUserStats(buffer) {
+  assertAccountType(buffer, 'UserStats');
+  const referrerStatus = buffer.readUInt8(188);
+  return {
+    authority: readPublicKey(buffer, 8),
+    referrer: readPublicKey(buffer, 40),
+    fees: decodeUserFees(buffer, 72),
+    nextEpochTs: readSignedBigInt64LE(buffer, 120),
+    makerVolume30d: readUnsignedBigInt64LE(buffer, 128),
+    takerVolume30d: readUnsignedBigInt64LE(buffer, 136),
+    fillerVolume30d: readUnsignedBigInt64LE(buffer, 144),
+    lastMakerVolume30dTs: readSignedBigInt64LE(buffer, 152),
+    lastTakerVolume30dTs: readSignedBigInt64LE(buffer, 160),
+    lastFillerVolume30dTs: readSignedBigInt64LE(buffer, 168),
+    ifStakedQuoteAssetAmount: readUnsignedBigInt64LE(buffer, 176),
+    numberOfSubAccounts: buffer.readUInt16LE(184),
+    numberOfSubAccountsCreated: buffer.readUInt16LE(186),
+    referrerStatus: flagNames(REFERRER_STATUS_FLAGS, referrerStatus),
+    rawReferrerStatus: referrerStatus,
+    disableUpdatePerpBidAskTwap: buffer.readUInt8(189) !== 0,
+    fuelOverflowStatus: buffer.readUInt8(191),
+    fuel: {
+      insurance: buffer.readUInt32LE(192),
+      deposits: buffer.readUInt32LE(196),
+      borrows: buffer.readUInt32LE(200),
+      positions: buffer.readUInt32LE(204),
+      taker: buffer.readUInt32LE(208),
+      maker: buffer.readUInt32LE(212),
+    },
+    ifStakedGovTokenAmount: readUnsignedBigInt64LE(buffer, 216),
+    lastFuelIfBonusUpdateTs: buffer.readUInt32LE(224),
+  };
+}
+
+module.exports = {
+  USER_STATS_SIZE,
+  decodeUserStats,
+};
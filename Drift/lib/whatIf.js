@@ -0,0 +1,287 @@
+/**
+ * whatIf.js
+ *
+ * Previews a spot deposit, withdraw or borrow on a decoded Drift User
+ * without sending anything: the position's scaledBalance is updated the way
+ * the program does it (see ./spotBalance.js), margin is recomputed before and
+ * after (./margin.js), and the checks the program would fail are listed:
+ *   deposit   max token deposits, paused / reduce-only market
+ *   withdraw  amount above the deposit (use borrow), market withdraw limit,
+ *             initial margin
+ *   borrow    as withdraw, plus the market borrow limit
+ * Withdraw and borrow limits follow the SDK's calculateWithdrawLimit: 24h
+ * deposit / borrow TWAPs and utilization caps that keep the market liquid.
+ * Amounts are in the market's token precision (10^decimals).
+ */
+
+const BN = require('bn.js');
+const {
+  getTokenAmount,
+  getScaledBalance,
+  getSignedTokenAmount,
+  formatTokenAmount,
+} = require('./spotBalance');
+const { calculateMargin, formatMargin } = require('./margin');
+const { SPOT_OPERATION_FLAGS } = require('./enums');
+
+const ACTIONS = ['deposit', 'withdraw', 'borrow'];
+const SPOT_UTILIZATION_PRECISION = new BN(1000000);
+const TWENTY_FOUR_HOURS = new BN(24 * 60 * 60);
+const PAUSED_DEPOSIT = 1 << SPOT_OPERATION_FLAGS.indexOf('Deposit');
+const PAUSED_WITHDRAW = 1 << SPOT_OPERATION_FLAGS.indexOf('Withdraw');
+
+// Minimum market deposits / maximum market borrows allowed by utilization
+function calculateTokenUtilizationLimits(depositTokenAmount, borrowTokenAmount, spotMarket) {
+  const maxWithdrawUtilization = BN.max(
+    new BN(spotMarket.optimalUtilization),
+    spotMarket.utilizationTwap.add(SPOT_UTILIZATION_PRECISION.sub(spotMarket.utilizationTwap).divn(2))
+  );
+  // Deposits below the guard threshold never block withdrawals
+  const minDepositTokens = BN.min(
+    borrowTokenAmount.mul(SPOT_UTILIZATION_PRECISION).div(maxWithdrawUtilization),
+    depositTokenAmount.sub(spotMarket.withdrawGuardThreshold)
+  );
+  const maxBorrowTokens = BN.max(
+    spotMarket.withdrawGuardThreshold,
+    maxWithdrawUtilization.mul(depositTokenAmount).div(SPOT_UTILIZATION_PRECISION)
+  );
+  return { minDepositTokens, maxBorrowTokens };
+}
+
+/**
+ * How much can leave the market right now:
+ *   withdrawLimit  deposits that can be withdrawn market-wide
+ *   borrowLimit    new borrows the market still accepts
+ * now is unix seconds.
+ */
+function calculateWithdrawLimit(spotMarket, now = Math.floor(Date.now() / 1000)) {
+  const depositTokenAmount = getTokenAmount(spotMarket.depositBalance, spotMarket, 'DEPOSIT');
+  const borrowTokenAmount = getTokenAmount(spotMarket.borrowBalance, spotMarket, 'BORROW');
+
+  // TWAPs carried forward to `now`, weighting the live amount by the time since the last update
+  const sinceLast = BN.max(new BN(now).sub(spotMarket.lastTwapTs), new BN(0));
+  const sinceStart = BN.max(new BN(0), TWENTY_FOUR_HOURS.sub(sinceLast));
+  const window = sinceLast.add(sinceStart);
+  const borrowTokenTwapLive = spotMarket.borrowTokenTwap.mul(sinceStart).add(borrowTokenAmount.mul(sinceLast)).div(window);
+  const depositTokenTwapLive = spotMarket.depositTokenTwap.mul(sinceStart).add(depositTokenAmount.mul(sinceLast)).div(window);
+  const lesserDepositAmount = BN.min(depositTokenAmount, depositTokenTwapLive);
+
+  // Main pool: ~15-80% utilization with 10% friction on the TWAP; isolated pools: ~50-90% with 33%
+  const [depositDivisor, twapDivisor, headroomDivisor] = spotMarket.poolId === 0 ? [6, 10, 5] : [2, 3, 10];
+  const maxBorrowTokensTwap = BN.max(
+    spotMarket.withdrawGuardThreshold,
+    BN.min(
+      BN.max(depositTokenAmount.divn(depositDivisor), borrowTokenTwapLive.add(lesserDepositAmount.divn(twapDivisor))),
+      lesserDepositAmount.sub(lesserDepositAmount.divn(headroomDivisor))
+    )
+  );
+  const minDepositTokensTwap = depositTokenTwapLive.sub(BN.max(
+    depositTokenTwapLive.divn(4),
+    BN.min(spotMarket.withdrawGuardThreshold, depositTokenTwapLive)
+  ));
+
+  const utilization = calculateTokenUtilizationLimits(depositTokenAmount, borrowTokenAmount, spotMarket);
+  const minDepositAmount = BN.max(utilization.minDepositTokens, minDepositTokensTwap);
+  let maxBorrowAmount = BN.min(utilization.maxBorrowTokens, maxBorrowTokensTwap);
+
+  const withdrawLimit = BN.max(depositTokenAmount.sub(minDepositAmount), new BN(0));
+  let borrowLimit = BN.min(maxBorrowAmount.sub(borrowTokenAmount), depositTokenAmount.sub(borrowTokenAmount));
+  if (spotMarket.maxTokenBorrowsFraction > 0) {
+    const maxByFraction = spotMarket.maxTokenDeposits.muln(spotMarket.maxTokenBorrowsFraction).divn(10000);
+    maxBorrowAmount = BN.min(maxBorrowAmount, maxByFraction.sub(borrowTokenAmount));
+    borrowLimit = BN.min(borrowLimit, maxBorrowAmount);
+  }
+  if (withdrawLimit.isZero() || spotMarket.assetTier === 'Protected') borrowLimit = new BN(0);
+
+  return {
+    withdrawLimit,
+    borrowLimit: BN.max(borrowLimit, new BN(0)),
+    minDepositAmount,
+    maxBorrowAmount,
+    currentDepositAmount: depositTokenAmount,
+    currentBorrowAmount: borrowTokenAmount,
+  };
+}
+
+/**
+ * Apply a signed token delta (+ deposit, - withdraw / borrow) to the user's
+ * position in `spotMarket`. A delta larger than the current balance flips it
+ * (deposit -> borrow or back). Rounding follows update_spot_balances:
+ * borrow changes and deposit reductions are rounded up, deposit increases
+ * down. Returns the new position (null when emptied), plus how much of the
+ * delta hit deposits and borrows.
+ */
+function applySpotBalanceDelta(position, spotMarket, delta) {
+  const marketIndex = spotMarket.marketIndex;
+  const current = position
+    ? getSignedTokenAmount(getTokenAmount(position.scaledBalance, spotMarket, position.balanceType), position.balanceType)
+    : new BN(0);
+  const next = current.add(delta);
+  const base = position || {
+    scaledBalance: new BN(0),
+    openBids: new BN(0),
+    openAsks: new BN(0),
+    cumulativeDeposits: new BN(0),
+    marketIndex,
+    balanceType: 'DEPOSIT',
+    openOrders: 0,
+  };
+
+  let scaledBalance;
+  let balanceType;
+  const sameSide = current.isZero() || next.isZero() || current.isNeg() === next.isNeg();
+  if (sameSide && !current.isZero()) {
+    balanceType = base.balanceType;
+    const growing = next.abs().gt(current.abs());
+    const change = getScaledBalance(delta.abs(), spotMarket, balanceType, balanceType === 'BORROW' || !growing);
+    scaledBalance = growing ? base.scaledBalance.add(change) : BN.max(base.scaledBalance.sub(change), new BN(0));
+  } else {
+    // Empty or flipped: the whole remaining amount starts a fresh balance
+    balanceType = next.isNeg() ? 'BORROW' : 'DEPOSIT';
+    scaledBalance = getScaledBalance(next.abs(), spotMarket, balanceType, balanceType === 'BORROW');
+  }
+  if (next.isZero()) scaledBalance = new BN(0);
+
+  const depositsBefore = BN.max(current, new BN(0));
+  const depositsAfter = BN.max(next, new BN(0));
+  const borrowsBefore = BN.max(current.neg(), new BN(0));
+  const borrowsAfter = BN.max(next.neg(), new BN(0));
+  return {
+    position: scaledBalance.isZero() && base.openOrders === 0
+      ? null
+      : { ...base, scaledBalance, balanceType, cumulativeDeposits: base.cumulativeDeposits.add(delta) },
+    tokenAmountBefore: current,
+    // Read back from the new scaledBalance, so rounding shows up
+    tokenAmountAfter: getSignedTokenAmount(getTokenAmount(scaledBalance, spotMarket, balanceType), balanceType),
+    depositChange: depositsAfter.sub(depositsBefore),
+    borrowChange: borrowsAfter.sub(borrowsBefore),
+  };
+}
+
+function describeBalance(position, spotMarket, signedTokenAmount) {
+  return {
+    balanceType: position ? position.balanceType : null,
+    scaledBalance: position ? position.scaledBalance : new BN(0),
+    tokenAmount: signedTokenAmount,
+    trueBalance: formatTokenAmount(signedTokenAmount, spotMarket.decimals),
+  };
+}
+
+// Totals of calculateMargin without the clamp at zero, so shortfalls show up
+function marginSnapshot(margin) {
+  return {
+    totalCollateral: margin.totalCollateral,
+    marginRequirement: margin.marginRequirement,
+    freeCollateral: {
+      initial: margin.totalCollateral.initial.sub(margin.marginRequirement.initial),
+      maintenance: margin.totalCollateral.maintenance.sub(margin.marginRequirement.maintenance),
+    },
+    health: margin.health,
+    formatted: formatMargin(margin),
+  };
+}
+
+/**
+ * What-if of `action` ('deposit' | 'withdraw' | 'borrow') of `amount` tokens
+ * in spot market `marketIndex` for `user`.
+ *   spotMarkets must include every market the user holds plus marketIndex;
+ *   perpMarkets every perp market the user holds
+ *   options: { now, spotPrices, perpPrices } (prices as in calculateMargin)
+ * Returns { allowed, rejections: [{ code, message }], before, after,
+ * margin: { before, after, freeCollateralChange, healthChange }, limits }.
+ */
+function simulateSpotAction(user, spotMarkets, perpMarkets, action, marketIndex, amount, options = {}) {
+  if (!ACTIONS.includes(action)) throw new Error(`Unknown action ${action}; expected one of ${ACTIONS.join(', ')}`);
+  const spotMarket = spotMarkets[marketIndex];
+  if (!spotMarket) throw new Error(`SpotMarket ${marketIndex} not provided`);
+  const tokenAmount = new BN(amount);
+  const decimals = spotMarket.decimals;
+  const fmt = value => formatTokenAmount(value, decimals);
+
+  const index = user.spotPositions.findIndex(p => p.marketIndex === marketIndex);
+  const position = index === -1 ? null : user.spotPositions[index];
+  const applied = applySpotBalanceDelta(position, spotMarket, action === 'deposit' ? tokenAmount : tokenAmount.neg());
+
+  const spotPositions = user.spotPositions.filter(p => p.marketIndex !== marketIndex);
+  if (applied.position) spotPositions.push(applied.position);
+  const nextUser = { ...user, spotPositions };
+
+  const marginOptions = { spotPrices: options.spotPrices, perpPrices: options.perpPrices };
+  const marginBefore = marginSnapshot(calculateMargin(user, spotMarkets, perpMarkets, marginOptions));
+  const marginAfter = marginSnapshot(calculateMargin(nextUser, spotMarkets, perpMarkets, marginOptions));
+  const limits = calculateWithdrawLimit(spotMarket, options.now);
+
+  const rejections = [];
+  const reject = (code, message) => rejections.push({ code, message });
+  const userStatus = user.status || [];
+  const depositDecrease = applied.depositChange.neg();
+
+  if (tokenAmount.lten(0)) reject('InvalidAmount', 'Amount must be positive');
+  if (action === 'deposit') {
+    if (spotMarket.pausedOperations & PAUSED_DEPOSIT) reject('MarketPaused', `Deposits are paused on ${spotMarket.name}`);
+    if (spotMarket.status === 'ReduceOnly' && applied.depositChange.gtn(0)) {
+      reject('MarketReduceOnly', `${spotMarket.name} is reduce-only; only borrow repayments are accepted`);
+    }
+    const maxDeposits = spotMarket.maxTokenDeposits;
+    if (!maxDeposits.isZero() && limits.currentDepositAmount.add(applied.depositChange).gt(maxDeposits)) {
+      reject('MaxDeposit', `Market deposits would exceed maxTokenDeposits ${fmt(maxDeposits)}`);
+    }
+  } else {
+    if (spotMarket.status === 'WithdrawPaused' || spotMarket.pausedOperations & PAUSED_WITHDRAW) {
+      reject('MarketPaused', `Withdrawals are paused on ${spotMarket.name}`);
+    }
+    if (userStatus.includes('BeingLiquidated') || userStatus.includes('Bankrupt')) {
+      reject('UserBeingLiquidated', 'User is being liquidated or is bankrupt');
+    }
+    if (action === 'withdraw' && applied.borrowChange.gtn(0)) {
+      reject('InsufficientDeposit', `Withdraw exceeds the deposit of ${fmt(applied.tokenAmountBefore.isNeg() ? new BN(0) : applied.tokenAmountBefore)}; `
+        + `the extra ${fmt(applied.borrowChange)} would be a borrow`);
+    }
+    if (depositDecrease.gt(limits.withdrawLimit)) {
+      reject('WithdrawLimit', `Market withdraw limit is ${fmt(limits.withdrawLimit)}`);
+    }
+    if (applied.borrowChange.gtn(0)) {
+      if (userStatus.includes('ReduceOnly')) reject('UserReduceOnly', 'User is reduce-only and cannot borrow');
+      if (spotMarket.status === 'ReduceOnly') reject('MarketReduceOnly', `${spotMarket.name} is reduce-only; new borrows are rejected`);
+      if (applied.borrowChange.gt(limits.borrowLimit)) {
+        reject('BorrowLimit', `Market borrow limit is ${fmt(limits.borrowLimit)}`);
+      }
+    }
+    // Withdrawals must leave the account above its initial margin requirement
+    if (marginAfter.freeCollateral.initial.isNeg()) {
+      reject('InsufficientCollateral', `Initial margin shortfall of ${formatTokenAmount(marginAfter.freeCollateral.initial.neg(), 6)} USD`);
+    }
+  }
+
+  const freeCollateralChange = marginAfter.freeCollateral.initial.sub(marginBefore.freeCollateral.initial);
+  return {
+    action,
+    marketIndex,
+    market: spotMarket.name,
+    amount: tokenAmount,
+    allowed: rejections.length === 0,
+    rejections,
+    before: describeBalance(position, spotMarket, applied.tokenAmountBefore),
+    after: describeBalance(applied.position, spotMarket, applied.tokenAmountAfter),
+    margin: {
+      before: marginBefore,
+      after: marginAfter,
+      freeCollateralChange,
+      healthChange: Math.round((marginAfter.health - marginBefore.health) * 100) / 100,
+    },
+    limits,
+    formatted: {
+      amount: fmt(tokenAmount),
+      freeCollateralChange: formatTokenAmount(freeCollateralChange, 6),
+      withdrawLimit: fmt(limits.withdrawLimit),
+      borrowLimit: fmt(limits.borrowLimit),
+    },
+  };
+}
+
+module.exports = {
+  calculateTokenUtilizationLimits,
+  calculateWithdrawLimit,
+  applySpotBalanceDelta,
+  simulateSpotAction,
+};
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * monitorLiquidationRisk.js
+ *
+ * Long-running liquidation-risk monitor for a watchlist of Drift user PDAs
+ * (one per line, from a file or "-" for stdin). Every --interval seconds
+ * (default 60) all accounts are fetched in chunks, health is computed from
+ * their spot and perp positions at live oracle prices (see ./lib/monitor.js),
+ * and an alert is sent whenever an account changes risk level:
+ *   warning       health <= --warn (default 30)
+ *   critical      health <= --critical (default 15)
+ *   liquidatable  health <= 0 (maintenance margin breached)
+ *   error         the account, a market or oracle it uses, or the whole poll
+ *                 could not be fetched or decoded
+ * An account only returns to a safer level once its health is --hysteresis
+ * points (default 5) above the threshold it crossed.
+ *
+ * --alert may be repeated: "stdout" (default), an http(s) webhook URL that
+ * receives each alert as a JSON POST, or a file path to append JSON lines
+ * to. --once runs a single poll and exits (for cron jobs).
+ *
+ * RPC_URL may also be a directory of saved account dumps (see ./fixtures).
+ *
+ * Usage:
+ *   npm init -y
+ *   npm install @solana/web3.js bn.js
+ *   node monitorLiquidationRisk.js <PDA_LIST_FILE|-> [RPC_URL] [--interval SECONDS]
+ *       [--warn 30] [--critical 15] [--hysteresis 5] [--alert stdout|URL|FILE]... [--once]
+ *
+ * Example:
+ *   node monitorLiquidationRisk.js users.txt https://api.mainnet-beta.solana.com \
+ *       --alert https://hooks.example.com/drift --alert alerts.jsonl
+ */
+
+const {
+  createConnection,
+  readPubkeyList,
+  createAlertSink,
+  runRiskMonitor,
+  DEFAULT_THRESHOLDS,
+  DEFAULT_HYSTERESIS,
+} = require('./lib');
+
+const USAGE = 'Usage: node monitorLiquidationRisk.js <PDA_LIST_FILE|-> [RPC_URL] [--interval SECONDS] '
+  + '[--warn N] [--critical N] [--hysteresis N] [--alert stdout|URL|FILE]... [--once]';
+
+(async () => {
+  const options = {
+    interval: '60',
+    warn: String(DEFAULT_THRESHOLDS.warning),
+    critical: String(DEFAULT_THRESHOLDS.critical),
+    hysteresis: String(DEFAULT_HYSTERESIS),
+  };
+  const alertTargets = [];
+  const positional = [];
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--once') options.once = true;
+    else if (argv[i] === '--alert') alertTargets.push(argv[++i]);
+    else if (argv[i].startsWith('--')) options[argv[i].slice(2)] = argv[++i];
+    else positional.push(argv[i]);
+  }
+  const [listSource, rpcUrl] = positional;
+  const numbers = ['interval', 'warn', 'critical', 'hysteresis'].map(k => Number(options[k]));
+  if (!listSource || numbers.some(n => !Number.isFinite(n) || n < 0) || !(Number(options.interval) > 0)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const pubkeys = readPubkeyList(listSource);
+  const conn = createConnection(rpcUrl);
+  const monitor = runRiskMonitor(conn, pubkeys, {
+    intervalMs: Number(options.interval) * 1000,
+    thresholds: {
+      warning: Number(options.warn),
+      critical: Number(options.critical),
+      liquidatable: DEFAULT_THRESHOLDS.liquidatable,
+    },
+    hysteresis: Number(options.hysteresis),
+    sinks: (alertTargets.length ? alertTargets : ['stdout']).map(createAlertSink),
+    once: options.once,
+    onPoll: results => {
+      const failed = results.filter(r => r.health === null).length;
+      console.error(`${new Date().toISOString()} polled ${results.length} accounts (${failed} failed)`);
+    },
+  });
+  if (!options.once) console.error(`Monitoring ${pubkeys.length} accounts every ${options.interval}s; Ctrl+C to stop`);
+
+  process.on('SIGINT', () => monitor.stop());
+  await monitor.done;
+})();
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * simulateSpotAction.js
+ *
+ * What-if preview of a Drift spot deposit, withdraw or borrow (see
+ * ./lib/whatIf.js). Fetches the user PDA and its markets, applies the action
+ * to a copy of the account and prints:
+ *   - the spot balance before / after (scaledBalance, token amount)
+ *   - free collateral and health before / after, and their change
+ *   - the market's current withdraw and borrow limits
+ *   - allowed, or the reasons the program would reject the action
+ *
+ * AMOUNT is in human units of the market token. withdraw never goes below a
+ * zero balance; use borrow to withdraw more than the deposit. Prices are
+ * read live from each market's oracle; --stored-prices and --spot-price /
+ * --perp-price <marketIndex>=<price> work as in getUserHealth.js.
+ * Exits with status 2 when the action would be rejected.
+ *
+ * Usage:
+ *   npm init -y
+ *   npm install @solana/web3.js bn.js
+ *   node simulateSpotAction.js <USER_PDA> <deposit|withdraw|borrow> <MARKET_INDEX> <AMOUNT> [RPC_URL]
+ *       [--stored-prices] [--spot-price 1=150.25] [--perp-price 0=150.3]
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const {
+  decodeUser,
+  createConnection,
+  fetchSpotMarkets,
+  fetchPerpMarkets,
+  fetchOraclePrices,
+  oraclePriceMap,
+  parseTokenAmount,
+  parsePriceOverride,
+  simulateSpotAction,
+  serialize,
+} = require('./lib');
+
+const USAGE = 'Usage: node simulateSpotAction.js <USER_PDA> <deposit|withdraw|borrow> <MARKET_INDEX> <AMOUNT> [RPC_URL] '
+  + '[--stored-prices] [--spot-price <index>=<price>] [--perp-price <index>=<price>]';
+
+(async () => {
+  const spotPrices = {};
+  const perpPrices = {};
+  const positional = [];
+  let storedPrices = false;
+  const argv = process.argv.slice(2);
+  try {
+    for (let i = 0; i < argv.length; i++) {
+      if (argv[i] === '--stored-prices') {
+        storedPrices = true;
+      } else if (argv[i] === '--spot-price' || argv[i] === '--perp-price') {
+        const { marketIndex, price } = parsePriceOverride(argv[++i]);
+        (argv[i - 1] === '--spot-price' ? spotPrices : perpPrices)[marketIndex] = price;
+      } else {
+        positional.push(argv[i]);
+      }
+    }
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const [userPda, action, marketArg, amountArg, rpcUrl] = positional;
+  if (!userPda || !['deposit', 'withdraw', 'borrow'].includes(action) || marketArg === undefined || !amountArg) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const conn = createConnection(rpcUrl);
+  const userInfo = await conn.getAccountInfo(new PublicKey(userPda));
+  if (!userInfo) { console.error('User PDA not found'); process.exit(1); }
+
+  const user = decodeUser(userInfo.data);
+  const marketIndex = Number(marketArg);
+  const spotMarkets = await fetchSpotMarkets(conn, [marketIndex, ...user.spotPositions.map(p => p.marketIndex)]);
+  const perpMarkets = user.perpPositions.length
+    ? await fetchPerpMarkets(conn, user.perpPositions.map(p => p.marketIndex))
+    : {};
+  if (!storedPrices) {
+    // Explicit overrides win over the live price
+    Object.assign(spotPrices, { ...oraclePriceMap(await fetchOraclePrices(conn, spotMarkets)), ...spotPrices });
+    Object.assign(perpPrices, { ...oraclePriceMap(await fetchOraclePrices(conn, perpMarkets)), ...perpPrices });
+  }
+  const amount = parseTokenAmount(amountArg, spotMarkets[marketIndex].decimals);
+
+  const result = simulateSpotAction(user, spotMarkets, perpMarkets, action, marketIndex, amount, { spotPrices, perpPrices });
+  console.log(JSON.stringify(serialize(result), null, 2));
+  if (!result.allowed) process.exit(2);
+})();
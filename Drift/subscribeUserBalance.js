@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * subscribeUserBalance.js
+ *
+ * Subscription mode of getUserMarketBalance.js: watches a Drift user PDA and
+ * the SpotMarkets it holds over websockets (accountSubscribe) and prints one
+ * JSON line per balance change until interrupted:
+ *   {"user", "marketIndex", "market", "reason", "oldTrueBalance",
+ *    "newTrueBalance", "delta", ..., "slot"}
+ * reason is "position" for deposits / withdrawals / borrows and "interest"
+ * when only the market's cumulative interest moved (see ./lib/subscribe.js).
+ *
+ * The websocket URL is derived from RPC_URL unless --ws is given.
+ *
+ * Usage:
+ *   npm init -y
+ *   npm install @solana/web3.js bn.js
+ *   node subscribeUserBalance.js <USER_PDA> [RPC_URL] [--ws <WS_URL>]
+ */
+
+const {
+  createConnection,
+  subscribeUserBalances,
+  serialize,
+} = require('./lib');
+
+(async () => {
+  const argv = process.argv.slice(2);
+  const wsFlag = argv.indexOf('--ws');
+  const wsEndpoint = wsFlag === -1 ? undefined : argv.splice(wsFlag, 2)[1];
+  const [userPda, rpcUrl] = argv;
+  if (!userPda) {
+    console.error('Usage: node subscribeUserBalance.js <USER_PDA> [RPC_URL] [--ws <WS_URL>]');
+    process.exit(1);
+  }
+
+  const conn = createConnection(rpcUrl, { wsEndpoint });
+  const unsubscribe = await subscribeUserBalances(conn, userPda, event => {
+    console.log(JSON.stringify(serialize(event)));
+  });
+  console.error(`Watching ${userPda}; Ctrl+C to stop`);
+
+  process.on('SIGINT', async () => {
+    await unsubscribe();
+    process.exit(0);
+  });
+})();
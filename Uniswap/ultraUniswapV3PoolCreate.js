@@ -1,10 +1,20 @@
 // ====================================
 // 智能 Uniswap V3 池子管理脚本
 // 自动判断是否需要创建池子，并智能添加流动性
-// 整合了池子创建逻辑 + 诊断分析逻辑 + 流动性添加逻辑
+// 整合了池子创建逻辑 + 诊断分析逻辑 + 流动性添加逻辑 + LP 仓位管理
+//
+// 用法:
+//   node ultraUniswapV3PoolCreate.js                                  智能创建池子 / 添加流动性
+//   node ultraUniswapV3PoolCreate.js positions [OWNER]                列出 LP 仓位
+//   node ultraUniswapV3PoolCreate.js report [OWNER]                   仓位价值和未领取手续费
+//   node ultraUniswapV3PoolCreate.js increase <TOKEN_ID> <AMOUNT0> <AMOUNT1>
+//   node ultraUniswapV3PoolCreate.js decrease <TOKEN_ID> <PERCENT> [--no-collect]
+//   node ultraUniswapV3PoolCreate.js collect <TOKEN_ID> [RECIPIENT]
+//   node ultraUniswapV3PoolCreate.js burn <TOKEN_ID>
 // ====================================
 
 const { ethers } = require('ethers');
+const V3Math = require('./uniswapV3Math');
 
 // ========== 配置区域 ==========
 const CONFIG = {
@@ -26,11 +36,34 @@ const CONFIG = {
     
     // 高级配置
     HUMAN_RATIO: true,  // true = 人类1:1比例, false = 原始单位1:1比例
+    
+    // 初始价格配置（仅创建新池子时使用）
+    // "ratio"     = 按 HUMAN_RATIO 使用1:1比例
+    // "price"     = 使用 INITIAL_PRICE（1 TOKEN_A = INITIAL_PRICE TOKEN_B）
+    // "amounts"   = 使用 AMOUNT_A / AMOUNT_B 的比例（1 TOKEN_A = AMOUNT_B / AMOUNT_A TOKEN_B）
+    // "reference" = 使用参考池子 REFERENCE_POOL 的当前价格
+    PRICE_MODE: "ratio",
+    INITIAL_PRICE: "0.0025",  // 人类可读价格
+    REFERENCE_POOL: "",       // 参考池子地址（代币地址需与 TOKEN_A/TOKEN_B 一致）
+    // 可选：显式声明视为同一代币的地址对 { 参考池子代币地址: TOKEN_A 或 TOKEN_B 地址 }
+    // 例如测试网上用自部署代币参考主网同名代币的池子；未列出的地址不会按符号匹配
+    REFERENCE_TOKEN_EQUIVALENTS: {},
+    
+    // 流动性区间配置（围绕池子当前价格，边界自动对齐 tickSpacing）
+    // "full"       = 全范围
+    // "multiplier" = 当前tick ± RANGE_MULTIPLIER 个 tickSpacing
+    // "percent"    = 当前价格 -RANGE_LOWER_PCT% ~ +RANGE_UPPER_PCT%（可设置为非对称）
+    // "above"      = 单边区间：当前价格 ~ +RANGE_UPPER_PCT%，只提供 token0（限价卖出）
+    // "below"      = 单边区间：-RANGE_LOWER_PCT% ~ 当前价格，只提供 token1（限价买入）
+    RANGE_MODE: "multiplier",
+    RANGE_MULTIPLIER: null,   // 留空时：新池子 10，已有池子 50（池子没有流动性时 100）
+    RANGE_LOWER_PCT: "10",
+    RANGE_UPPER_PCT: "10",
     AUTO_RETRY: true,   // 自动重试
     MAX_RETRIES: 3,     // 最大重试次数
     
     // 调试和安全配置
-    SAFE_MODE: true,    // 安全模式：失败时自动尝试全范围流动性
+    SAFE_MODE: true,    // 安全模式：失败时自动尝试全范围流动性（仅 multiplier 模式；percent/above/below 区间失败时直接报错）
     DETAILED_ANALYSIS: true,  // 是否进行详细分析
     AUTO_PROCEED: true        // 是否自动执行
 };
@@ -53,7 +86,14 @@ const ABIS = {
     
     POSITION_MANAGER: [
         "function createAndInitializePoolIfNecessary(address token0, address token1, uint24 fee, uint160 sqrtPriceX96) external payable returns (address pool)",
-        "function mint((address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address recipient, uint256 deadline)) external payable returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)"
+        "function mint((address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address recipient, uint256 deadline)) external payable returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)",
+        "function balanceOf(address owner) view returns (uint256)",
+        "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+        "function positions(uint256 tokenId) view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)",
+        "function increaseLiquidity((uint256 tokenId, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, uint256 deadline)) external payable returns (uint128 liquidity, uint256 amount0, uint256 amount1)",
+        "function decreaseLiquidity((uint256 tokenId, uint128 liquidity, uint256 amount0Min, uint256 amount1Min, uint256 deadline)) external payable returns (uint256 amount0, uint256 amount1)",
+        "function collect((uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max)) external payable returns (uint256 amount0, uint256 amount1)",
+        "function burn(uint256 tokenId) external payable"
     ],
     
     FACTORY: [
@@ -66,7 +106,10 @@ const ABIS = {
         "function token1() external view returns (address)",
         "function fee() external view returns (uint24)",
         "function tickSpacing() external view returns (int24)",
-        "function liquidity() external view returns (uint128)"
+        "function liquidity() external view returns (uint128)",
+        "function feeGrowthGlobal0X128() external view returns (uint256)",
+        "function feeGrowthGlobal1X128() external view returns (uint256)",
+        "function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)"
     ]
 };
 
@@ -100,175 +143,257 @@ class SmartPoolManager {
 
     // ========== 池子创建相关方法（来自第一份代码）==========
     
-    // 智能计算 sqrtPriceX96 - 支持人类可读比例
+    // 智能计算 sqrtPriceX96 - 支持人类可读比例（精确整数运算）
     calculateSqrtPriceX96(decimals0, decimals1, humanRatio = true) {
         console.log(`🔢 计算初始价格...`);
         console.log(`Token0 精度: ${decimals0}位, Token1 精度: ${decimals1}位`);
         
-        try {
-            let price;
-            
-            if (humanRatio) {
-                // 人类可读的1:1比例
-                console.log(`💡 使用人类可读1:1比例 (1 token0 = 1 token1)`);
-                
-                // 精度差异
-                const decimalDiff = decimals1 - decimals0;
-                console.log(`精度差异: ${decimals1} - ${decimals0} = ${decimalDiff}`);
-                
-                // 人类1:1 意味着: 1 * 10^decimals0 wei = 1 * 10^decimals1 wei
-                // price = (1 * 10^decimals1) / (1 * 10^decimals0) = 10^(decimals1 - decimals0)
-                price = Math.pow(10, decimalDiff);
-                console.log(`价格比例 (token1/token0): ${price}`);
-                
-            } else {
-                // 原始单位1:1比例
-                console.log(`⚙️ 使用原始单位1:1比例`);
-                price = 1;
-            }
-            
-            // 计算 sqrt(price)
-            const sqrtPrice = Math.sqrt(price);
-            console.log(`sqrt(price): ${sqrtPrice}`);
-            
-            // 转换为 sqrtPriceX96 格式
-            const Q96 = ethers.BigNumber.from(2).pow(96);
-            let sqrtPriceX96;
-            
-            if (price < 1) {
-                // 价格小于1时的精确处理
-                // 使用字符串避免精度损失
-                const sqrtPriceStr = sqrtPrice.toExponential();
-                const [mantissa, exponent] = sqrtPriceStr.split('e');
-                const mantissaNum = parseFloat(mantissa);
-                const exp = parseInt(exponent);
-                
-                // 计算 mantissa * 2^96 * 10^exp
-                const scaledMantissa = Math.floor(mantissaNum * 1e15); // 保留15位精度
-                const mantissaBN = ethers.BigNumber.from(scaledMantissa.toString());
-                const powerOf10 = ethers.BigNumber.from(10).pow(Math.abs(exp));
-                
-                if (exp < 0) {
-                    sqrtPriceX96 = mantissaBN.mul(Q96).div(ethers.BigNumber.from(10).pow(15)).div(powerOf10);
-                } else {
-                    sqrtPriceX96 = mantissaBN.mul(Q96).mul(powerOf10).div(ethers.BigNumber.from(10).pow(15));
-                }
-                
-            } else {
-                // 价格大于等于1时的标准处理
-                const sqrtPriceBN = ethers.BigNumber.from(Math.floor(sqrtPrice * 1e18));
-                sqrtPriceX96 = sqrtPriceBN.mul(Q96).div(ethers.utils.parseUnits("1", 18));
-            }
-            
-            // 验证范围
-            const MIN_SQRT_RATIO = ethers.BigNumber.from("4295128739");
-            const MAX_SQRT_RATIO = ethers.BigNumber.from("1461446703485210103287273052203988822378723970341");
-            
-            if (sqrtPriceX96.lt(MIN_SQRT_RATIO)) {
-                console.log(`⚠️ 计算的价格过低，使用最小值`);
-                sqrtPriceX96 = MIN_SQRT_RATIO;
-            } else if (sqrtPriceX96.gt(MAX_SQRT_RATIO)) {
-                console.log(`⚠️ 计算的价格过高，使用最大值`);
-                sqrtPriceX96 = MAX_SQRT_RATIO;
-            }
-            
-            console.log(`✅ sqrtPriceX96: ${sqrtPriceX96.toString()}`);
-            
-            // 验证计算结果
-            this.validatePrice(sqrtPriceX96, decimals0, decimals1);
-            
-            return sqrtPriceX96;
-            
-        } catch (error) {
-            console.log(`❌ 价格计算失败: ${error.message}`);
-            console.log(`🔄 使用默认1:1价格`);
-            return ethers.BigNumber.from(2).pow(96); // 默认 1:1
+        let sqrtPriceX96;
+        if (humanRatio) {
+            // 人类1:1 意味着: 1 * 10^decimals0 wei = 1 * 10^decimals1 wei
+            // price = 10^decimals1 / 10^decimals0，直接用整数开方，不经过浮点数
+            console.log(`💡 使用人类可读1:1比例 (1 token0 = 1 token1)`);
+            console.log(`精度差异: ${decimals1} - ${decimals0} = ${decimals1 - decimals0}`);
+            sqrtPriceX96 = V3Math.priceToSqrtPriceX96("1", decimals0, decimals1);
+        } else {
+            // 原始单位1:1比例
+            console.log(`⚙️ 使用原始单位1:1比例`);
+            sqrtPriceX96 = V3Math.Q96;
+        }
+        
+        // 超出范围直接报错，不再静默回退到 1:1 价格
+        if (sqrtPriceX96 < V3Math.MIN_SQRT_RATIO || sqrtPriceX96 >= V3Math.MAX_SQRT_RATIO) {
+            throw new Error(`sqrtPriceX96 ${sqrtPriceX96} 超出有效范围`);
         }
+        
+        console.log(`✅ sqrtPriceX96: ${sqrtPriceX96.toString()}`);
+        
+        // 验证计算结果
+        this.validatePrice(sqrtPriceX96, decimals0, decimals1, humanRatio);
+        
+        return ethers.BigNumber.from(sqrtPriceX96.toString());
     }
 
-    // 验证价格计算的正确性
-    validatePrice(sqrtPriceX96, decimals0, decimals1) {
-        try {
-            const Q96 = ethers.BigNumber.from(2).pow(96);
-            const sqrtPrice = sqrtPriceX96.mul(ethers.utils.parseUnits("1", 18)).div(Q96);
-            const price = sqrtPrice.mul(sqrtPrice).div(ethers.utils.parseUnits("1", 18));
-            
-            console.log(`🔍 价格验证:`);
-            console.log(`   计算的价格比例: ${ethers.utils.formatUnits(price, 18)}`);
-            
-            if (CONFIG.HUMAN_RATIO) {
-                const expectedPrice = Math.pow(10, decimals1 - decimals0);
-                console.log(`   期望的价格比例: ${expectedPrice}`);
-            }
-        } catch (error) {
-            console.log(`⚠️ 价格验证失败: ${error.message}`);
+    // 验证价格计算的正确性（从 sqrtPriceX96 反算价格和 tick）
+    validatePrice(sqrtPriceX96, decimals0, decimals1, humanRatio = CONFIG.HUMAN_RATIO) {
+        const sqrtP = V3Math.toBigInt(sqrtPriceX96);
+        const tick = V3Math.getTickAtSqrtRatio(sqrtP);
+        
+        console.log(`🔍 价格验证:`);
+        console.log(`   原始价格比例 (wei): ${V3Math.sqrtPriceX96ToRawPrice(sqrtP)}`);
+        console.log(`   人类价格 (1 token0 = ? token1): ${V3Math.sqrtPriceX96ToPrice(sqrtP, decimals0, decimals1)}`);
+        console.log(`   对应 Tick: ${tick}`);
+        
+        if (humanRatio) {
+            const expected = V3Math.priceToSqrtPriceX96("1", decimals0, decimals1);
+            console.log(`   期望的价格比例: 10^${decimals1 - decimals0} ${sqrtP === expected ? '✅' : '❌'}`);
         }
+        
+        return { tick, price: V3Math.sqrtPriceX96ToPrice(sqrtP, decimals0, decimals1) };
     }
 
-    // 计算最佳 tick 范围（修复版）
-    getOptimalTickRange(fee, humanRatio = true, rangeMultiplier = 10) {
-        let tickSpacing;
-        if (fee === 500) tickSpacing = 10;
-        else if (fee === 3000) tickSpacing = 60;
-        else if (fee === 10000) tickSpacing = 200;
-        else throw new Error("无效的手续费");
+    // 初始价格模式的描述
+    static describePriceMode() {
+        switch (CONFIG.PRICE_MODE) {
+            case "ratio": return CONFIG.HUMAN_RATIO ? '人类1:1' : '原始1:1';
+            case "price": return `指定价格 (1 TOKEN_A = ${CONFIG.INITIAL_PRICE} TOKEN_B)`;
+            case "amounts": return `数量比例 (${CONFIG.AMOUNT_A} : ${CONFIG.AMOUNT_B})`;
+            case "reference": return `参考池子 ${CONFIG.REFERENCE_POOL}`;
+            default: throw new Error(`无效的 PRICE_MODE: ${CONFIG.PRICE_MODE}`);
+        }
+    }
 
-        // Uniswap V3 的实际最大/最小 tick（必须是 tickSpacing 的倍数）
-        const MAX_TICK = 887272;
-        const MIN_TICK = -887272;
+    // 读取参考池子价格，返回 1 TOKEN_A = ? TOKEN_B 的精确分数
+    async getReferencePrice(poolAddress, tokenAInfo, tokenBInfo) {
+        if (!poolAddress) throw new Error("PRICE_MODE 为 reference 时必须配置 REFERENCE_POOL");
         
-        // 计算有效的最大/最小 tick（必须能被 tickSpacing 整除）
-        const validMaxTick = Math.floor(MAX_TICK / tickSpacing) * tickSpacing;
-        const validMinTick = Math.ceil(MIN_TICK / tickSpacing) * tickSpacing;
+        const poolContract = new ethers.Contract(poolAddress, ABIS.POOL, this.provider);
+        const [slot0, refToken0, refToken1] = await Promise.all([
+            poolContract.slot0(),
+            poolContract.token0(),
+            poolContract.token1()
+        ]);
+        const [ref0, ref1] = await Promise.all([
+            this.getTokenInfo(refToken0),
+            this.getTokenInfo(refToken1)
+        ]);
         
-        console.log(`🔧 Tick 约束: tickSpacing=${tickSpacing}, 有效范围=[${validMinTick}, ${validMaxTick}]`);
+        // 只按地址匹配（符号可被任意同名代币冒用），等价地址需在 REFERENCE_TOKEN_EQUIVALENTS 中显式声明
+        const equivalents = {};
+        for (const [refAddress, address] of Object.entries(CONFIG.REFERENCE_TOKEN_EQUIVALENTS || {})) {
+            equivalents[refAddress.toLowerCase()] = address.toLowerCase();
+        }
+        const same = (ref, info) => {
+            const refAddress = ref.address.toLowerCase();
+            const address = info.address.toLowerCase();
+            return refAddress === address || equivalents[refAddress] === address;
+        };
+        let aIsRef0;
+        if (same(ref0, tokenAInfo) && same(ref1, tokenBInfo)) aIsRef0 = true;
+        else if (same(ref1, tokenAInfo) && same(ref0, tokenBInfo)) aIsRef0 = false;
+        else throw new Error(`参考池子代币 ${ref0.symbol}(${ref0.address})/${ref1.symbol}(${ref1.address}) 与 ${tokenAInfo.symbol}(${tokenAInfo.address})/${tokenBInfo.symbol}(${tokenBInfo.address}) 地址不匹配`);
+        
+        const fraction = V3Math.sqrtPriceX96ToPriceFraction(slot0.sqrtPriceX96, ref0.decimals, ref1.decimals);
+        console.log(`🔗 参考池子 ${poolAddress}: 1 ${ref0.symbol} = ${V3Math.sqrtPriceX96ToPrice(slot0.sqrtPriceX96, ref0.decimals, ref1.decimals)} ${ref1.symbol}`);
+        return aIsRef0 ? fraction : { numerator: fraction.denominator, denominator: fraction.numerator };
+    }
 
-        let tickLower, tickUpper;
+    // 根据 PRICE_MODE 计算新池子的初始 sqrtPriceX96
+    // aIsToken0: TOKEN_A 是否为 token0
+    async resolveInitialPrice(tokenAInfo, tokenBInfo, aIsToken0) {
+        const [decimals0, decimals1] = aIsToken0
+            ? [tokenAInfo.decimals, tokenBInfo.decimals]
+            : [tokenBInfo.decimals, tokenAInfo.decimals];
         
-        if (humanRatio) {
-            // 围绕 tick 0 创建对称范围（因为人类1:1对应 tick 0 附近）
-            const rangeWidth = rangeMultiplier * tickSpacing;
-            tickLower = -rangeWidth;
-            tickUpper = rangeWidth;
-            
-            console.log(`💡 人类1:1模式: 围绕tick 0，范围宽度=${rangeWidth}`);
+        if (CONFIG.PRICE_MODE === "ratio") {
+            return V3Math.toBigInt(this.calculateSqrtPriceX96(decimals0, decimals1, CONFIG.HUMAN_RATIO));
+        }
+        
+        // 1 TOKEN_A = ? TOKEN_B 的精确分数
+        let priceAinB;
+        if (CONFIG.PRICE_MODE === "price") {
+            priceAinB = V3Math.parseDecimal(CONFIG.INITIAL_PRICE);
+        } else if (CONFIG.PRICE_MODE === "amounts") {
+            const amountA = V3Math.parseDecimal(CONFIG.AMOUNT_A);
+            const amountB = V3Math.parseDecimal(CONFIG.AMOUNT_B);
+            priceAinB = {
+                numerator: amountB.numerator * amountA.denominator,
+                denominator: amountB.denominator * amountA.numerator
+            };
+        } else if (CONFIG.PRICE_MODE === "reference") {
+            priceAinB = await this.getReferencePrice(CONFIG.REFERENCE_POOL, tokenAInfo, tokenBInfo);
         } else {
-            // 全范围流动性 - 使用有效的最大范围
-            tickLower = validMinTick;
-            tickUpper = validMaxTick;
-            
-            console.log(`🌍 全范围模式: 使用最大有效范围`);
+            throw new Error(`无效的 PRICE_MODE: ${CONFIG.PRICE_MODE}`);
+        }
+        if (priceAinB.numerator === 0n || priceAinB.denominator === 0n) {
+            throw new Error(`初始价格必须大于 0 (${SmartPoolManager.describePriceMode()})`);
         }
         
-        // 确保 tick 是 tickSpacing 的倍数
-        tickLower = Math.floor(tickLower / tickSpacing) * tickSpacing;
-        tickUpper = Math.floor(tickUpper / tickSpacing) * tickSpacing;
+        console.log(`🔢 计算初始价格: ${SmartPoolManager.describePriceMode()}`);
+        console.log(`   1 ${tokenAInfo.symbol} = ${V3Math.formatFraction(priceAinB.numerator, priceAinB.denominator)} ${tokenBInfo.symbol}`);
+        
+        // 池子价格总是 1 token0 = ? token1
+        const price0in1 = aIsToken0
+            ? priceAinB
+            : { numerator: priceAinB.denominator, denominator: priceAinB.numerator };
+        const sqrtPriceX96 = V3Math.priceFractionToSqrtPriceX96(price0in1, decimals0, decimals1);
+        
+        console.log(`✅ sqrtPriceX96: ${sqrtPriceX96.toString()}`);
+        this.validatePrice(sqrtPriceX96, decimals0, decimals1, false);
+        return sqrtPriceX96;
+    }
+
+    // 计算 tick 范围（不输出日志），所有边界都对齐到 tickSpacing
+    // options:
+    //   mode            "full" 全范围 | "multiplier" 当前tick ± rangeMultiplier * tickSpacing
+    //                   | "percent" 当前价格 -lowerPct% ~ +upperPct%（两者不同即为非对称区间）
+    //                   | "above" 当前价格上方的单边区间（只提供 token0，价格上涨时卖出，类似限价卖单）
+    //                   | "below" 当前价格下方的单边区间（只提供 token1，价格下跌时买入，类似限价买单）
+    //   centerTick      当前 tick（slot0.tick 或初始价格对应的 tick）
+    //   sqrtPriceX96    当前价格，缺省时由 centerTick 推算
+    //   rangeMultiplier multiplier 模式的半宽（tickSpacing 的倍数）
+    //   lowerPct / upperPct  percent / above / below 模式的价格百分比
+    computeTickRange(tickSpacing, options = {}) {
+        const {
+            mode = "multiplier",
+            centerTick = 0,
+            rangeMultiplier = 10,
+            lowerPct = 10,
+            upperPct = 10
+        } = options;
+        const sqrtPriceX96 = options.sqrtPriceX96 !== undefined
+            ? V3Math.toBigInt(options.sqrtPriceX96)
+            : V3Math.getSqrtRatioAtTick(centerTick);
+        const { minTick, maxTick } = V3Math.getTickBounds(tickSpacing);
+        
+        let tickLower, tickUpper;
+        switch (mode) {
+            case "full":
+                tickLower = minTick;
+                tickUpper = maxTick;
+                break;
+            case "multiplier": {
+                const center = V3Math.snapTick(centerTick, tickSpacing, "floor");
+                tickLower = center - rangeMultiplier * tickSpacing;
+                tickUpper = center + rangeMultiplier * tickSpacing;
+                break;
+            }
+            case "percent":
+                // 下界向下、上界向上取整，保证区间至少覆盖要求的价格带
+                tickLower = V3Math.snapTick(V3Math.getTickForPriceChange(sqrtPriceX96, `-${lowerPct}`), tickSpacing, "floor");
+                tickUpper = V3Math.snapTick(V3Math.getTickForPriceChange(sqrtPriceX96, upperPct), tickSpacing, "ceil");
+                break;
+            case "above":
+                // tickLower 必须严格大于当前 tick，池子才只收取 token0
+                tickLower = V3Math.snapTick(centerTick, tickSpacing, "floor") + tickSpacing;
+                tickUpper = Math.max(
+                    V3Math.snapTick(V3Math.getTickForPriceChange(sqrtPriceX96, upperPct), tickSpacing, "ceil"),
+                    tickLower + tickSpacing
+                );
+                break;
+            case "below":
+                // tickUpper 不大于当前 tick 时池子只收取 token1
+                tickUpper = V3Math.snapTick(centerTick, tickSpacing, "floor");
+                tickLower = Math.min(
+                    V3Math.snapTick(V3Math.getTickForPriceChange(sqrtPriceX96, `-${lowerPct}`), tickSpacing, "floor"),
+                    tickUpper - tickSpacing
+                );
+                break;
+            default:
+                throw new Error(`无效的范围模式: ${mode}`);
+        }
         
         // 确保在有效范围内
-        tickLower = Math.max(tickLower, validMinTick);
-        tickUpper = Math.min(tickUpper, validMaxTick);
+        tickLower = Math.max(tickLower, minTick);
+        tickUpper = Math.min(tickUpper, maxTick);
         
-        // 额外验证：确保范围有效
-        if (tickLower >= tickUpper) {
-            console.log(`⚠️ Tick范围无效，强制使用最小有效范围`);
-            tickLower = validMinTick;
-            tickUpper = validMinTick + tickSpacing;
+        if (tickLower >= tickUpper || tickLower % tickSpacing !== 0 || tickUpper % tickSpacing !== 0) {
+            throw new Error(`Tick 范围无效: ${tickLower} 到 ${tickUpper} (间距: ${tickSpacing}, 模式: ${mode})`);
+        }
+        if ((mode === "above" && tickLower <= centerTick) || (mode === "below" && tickUpper > centerTick)) {
+            throw new Error(`当前 tick ${centerTick} 太接近边界，无法创建单边区间`);
         }
         
-        // 验证计算结果
-        const isValidLower = (tickLower % tickSpacing === 0) && (tickLower >= validMinTick) && (tickLower <= validMaxTick);
-        const isValidUpper = (tickUpper % tickSpacing === 0) && (tickUpper >= validMinTick) && (tickUpper <= validMaxTick);
+        return { tickLower, tickUpper };
+    }
+
+    // 计算最佳 tick 范围，options 同 computeTickRange
+    getOptimalTickRange(fee, options = {}) {
+        const tickSpacing = V3Math.getTickSpacing(fee);
+        const { minTick, maxTick } = V3Math.getTickBounds(tickSpacing);
+        const mode = options.mode || "multiplier";
+        
+        console.log(`🔧 Tick 约束: tickSpacing=${tickSpacing}, 有效范围=[${minTick}, ${maxTick}]`);
+        
+        const { tickLower, tickUpper } = this.computeTickRange(tickSpacing, options);
+        const centerTick = options.centerTick || 0;
+        const modeNames = {
+            full: '全范围',
+            multiplier: `集中流动性 (当前tick ± ${options.rangeMultiplier || 10} × tickSpacing)`,
+            percent: `价格区间 (-${options.lowerPct || 10}% ~ +${options.upperPct || 10}%)`,
+            above: `单边区间 (当前价格上方，仅 token0)`,
+            below: `单边区间 (当前价格下方，仅 token1)`
+        };
         
         console.log(`🎯 Tick 范围: ${tickLower} 到 ${tickUpper} (间距: ${tickSpacing})`);
-        console.log(`   范围类型: ${humanRatio ? '集中流动性' : '全范围'}`);
+        console.log(`   范围类型: ${modeNames[mode]}`);
+        console.log(`   中心Tick: ${centerTick}`);
         console.log(`   范围宽度: ${tickUpper - tickLower} ticks`);
-        console.log(`   验证结果: Lower=${isValidLower}, Upper=${isValidUpper}`);
-        
-        if (!isValidLower || !isValidUpper) {
-            throw new Error(`Tick 验证失败: Lower=${tickLower}(${isValidLower}), Upper=${tickUpper}(${isValidUpper})`);
-        }
+        console.log(`   当前价格在范围内: ${centerTick >= tickLower && centerTick < tickUpper ? '✅' : '❌'}`);
         
-        return { tickLower, tickUpper };
+        return { tickLower, tickUpper, tickSpacing };
+    }
+
+    // 从 CONFIG 读取范围选项
+    getRangeOptions(centerTick, sqrtPriceX96) {
+        return {
+            mode: CONFIG.RANGE_MODE,
+            centerTick,
+            sqrtPriceX96,
+            rangeMultiplier: CONFIG.RANGE_MULTIPLIER || undefined,
+            lowerPct: CONFIG.RANGE_LOWER_PCT,
+            upperPct: CONFIG.RANGE_UPPER_PCT
+        };
     }
 
     // 检查并处理代币授权
@@ -335,16 +460,15 @@ class SmartPoolManager {
             console.log(`   Current Liquidity: ${liquidity.toString()}`);
             console.log(`   sqrtPriceX96: ${slot0.sqrtPriceX96.toString()}`);
             
-            // 计算实际价格进行验证
-            const Q96 = ethers.BigNumber.from(2).pow(96);
-            const sqrtPrice = slot0.sqrtPriceX96.mul(ethers.utils.parseUnits("1", 18)).div(Q96);
-            const price = sqrtPrice.mul(sqrtPrice).div(ethers.utils.parseUnits("1", 18));
-            console.log(`   当前价格 (token1/token0): ${ethers.utils.formatUnits(price, 18)}`);
-            
+            // 计算实际价格进行验证（精确整数运算）
+            const sqrtPriceX96 = V3Math.toBigInt(slot0.sqrtPriceX96);
+            const expectedTick = V3Math.getTickAtSqrtRatio(sqrtPriceX96);
+            console.log(`   当前价格 (token1/token0, wei): ${V3Math.sqrtPriceX96ToRawPrice(sqrtPriceX96)}`);
+            console.log(`   sqrtPriceX96 对应 Tick: ${expectedTick} ${expectedTick === slot0.tick ? '✅' : '❌'}`);
+
             // 验证 tick 范围的有效性
-            const validMaxTick = Math.floor(887272 / tickSpacing) * tickSpacing;
-            const validMinTick = Math.ceil(-887272 / tickSpacing) * tickSpacing;
-            
+            const { minTick: validMinTick, maxTick: validMaxTick } = V3Math.getTickBounds(tickSpacing);
+
             console.log(`   有效Tick范围: [${validMinTick}, ${validMaxTick}]`);
             console.log(`   当前Tick在有效范围内: ${slot0.tick >= validMinTick && slot0.tick <= validMaxTick ? '✅' : '❌'}`);
             
@@ -423,8 +547,8 @@ class SmartPoolManager {
 
     // ========== 池子诊断相关方法（来自第二份代码）==========
     
-    // 详细分析池子状态
-    async diagnosePool(poolAddress) {
+    // 详细分析池子状态，includePositions = true 时附带钱包在该池子的仓位价值报告
+    async diagnosePool(poolAddress, includePositions = CONFIG.DETAILED_ANALYSIS) {
         console.log("🔍 开始诊断池子状态...\n");
 
         try {
@@ -454,11 +578,12 @@ class SmartPoolManager {
             console.log(`   Current Tick: ${slot0.tick}`);
             console.log(`   Current sqrtPriceX96: ${slot0.sqrtPriceX96.toString()}`);
             
-            // 计算实际价格
-            const Q96 = ethers.BigNumber.from(2).pow(96);
-            const sqrtPrice = slot0.sqrtPriceX96.mul(ethers.utils.parseUnits("1", 18)).div(Q96);
-            const price = sqrtPrice.mul(sqrtPrice).div(ethers.utils.parseUnits("1", 18));
-            console.log(`   Calculated Price (token1/token0): ${ethers.utils.formatUnits(price, 18)}`);
+            // 计算实际价格（精确整数运算）
+            const sqrtPriceX96 = V3Math.toBigInt(slot0.sqrtPriceX96);
+            const rawPrice = V3Math.sqrtPriceX96ToRawPrice(sqrtPriceX96);
+            const tickFromPrice = V3Math.getTickAtSqrtRatio(sqrtPriceX96);
+            console.log(`   Calculated Price (token1/token0): ${rawPrice}`);
+            console.log(`   Tick from sqrtPriceX96: ${tickFromPrice} ${tickFromPrice === slot0.tick ? '✅' : '❌'}`);
             console.log("");
 
             // 3. 获取代币信息
@@ -492,14 +617,14 @@ class SmartPoolManager {
             console.log("");
 
             // 5. 计算人类可读的价格比例
-            const decimalDiff = decimals0 - decimals1;
-            const humanPrice = parseFloat(ethers.utils.formatUnits(price, 18));
-            const adjustedHumanPrice = humanPrice * Math.pow(10, decimalDiff);
+            const humanPrice = V3Math.sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1);
+            const inversePrice = V3Math.sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1, 18, true);
             
             console.log("📈 人类可读的价格分析:");
-            console.log(`   原始价格比例 (${symbol1}/${symbol0} in wei): ${humanPrice.toExponential()}`);
-            console.log(`   调整精度后的比例 (${symbol1}/${symbol0} 人类可读): ${adjustedHumanPrice.toFixed(9)}`);
-            console.log(`   这意味着: 1 ${symbol0} ≈ ${adjustedHumanPrice.toFixed(9)} ${symbol1}`);
+            console.log(`   原始价格比例 (${symbol1}/${symbol0} in wei): ${rawPrice}`);
+            console.log(`   调整精度后的比例 (${symbol1}/${symbol0} 人类可读): ${humanPrice}`);
+            console.log(`   这意味着: 1 ${symbol0} = ${humanPrice} ${symbol1}`);
+            console.log(`   反向价格: 1 ${symbol1} = ${inversePrice} ${symbol0}`);
             console.log("");
 
             // 6. 分析 tick 范围策略
@@ -507,29 +632,31 @@ class SmartPoolManager {
             const currentTick = slot0.tick;
             const spacing = typeof tickSpacing === 'number' ? tickSpacing : tickSpacing.toNumber();
             
-            // 计算多种范围策略
+            // 计算多种范围策略（均对齐 tickSpacing）
             const strategies = [
-                { name: "极窄范围", multiplier: 1 },
-                { name: "窄范围", multiplier: 3 },
-                { name: "中等范围", multiplier: 10 },
-                { name: "宽范围", multiplier: 50 },
-                { name: "全范围", multiplier: 1000 }
+                { name: "极窄范围", options: { mode: "multiplier", rangeMultiplier: 1 } },
+                { name: "窄范围", options: { mode: "multiplier", rangeMultiplier: 3 } },
+                { name: "中等范围", options: { mode: "multiplier", rangeMultiplier: 10 } },
+                { name: "宽范围", options: { mode: "multiplier", rangeMultiplier: 50 } },
+                { name: "±1% 价格区间", options: { mode: "percent", lowerPct: 1, upperPct: 1 } },
+                { name: "±5% 价格区间", options: { mode: "percent", lowerPct: 5, upperPct: 5 } },
+                { name: "-10%/+30% 非对称区间", options: { mode: "percent", lowerPct: 10, upperPct: 30 } },
+                { name: "上方单边 +10% (仅token0)", options: { mode: "above", upperPct: 10 } },
+                { name: "下方单边 -10% (仅token1)", options: { mode: "below", lowerPct: 10 } },
+                { name: "全范围", options: { mode: "full" } }
             ];
 
             strategies.forEach(strategy => {
-                const rangeWidth = strategy.multiplier * spacing;
-                let tickLower = currentTick - rangeWidth;
-                let tickUpper = currentTick + rangeWidth;
-                
-                // 标准化为 spacing 的倍数
-                tickLower = Math.floor(tickLower / spacing) * spacing;
-                tickUpper = Math.floor(tickUpper / spacing) * spacing;
-                
-                // 确保在有效范围内
-                tickLower = Math.max(tickLower, -887200);
-                tickUpper = Math.min(tickUpper, 887200);
-                
-                console.log(`   ${strategy.name}: ${tickLower} 到 ${tickUpper} (宽度: ${tickUpper - tickLower})`);
+                try {
+                    const { tickLower, tickUpper } = this.computeTickRange(spacing, {
+                        ...strategy.options,
+                        centerTick: currentTick,
+                        sqrtPriceX96
+                    });
+                    console.log(`   ${strategy.name}: ${tickLower} 到 ${tickUpper} (宽度: ${tickUpper - tickLower})`);
+                } catch (error) {
+                    console.log(`   ${strategy.name}: 不可用 (${error.message})`);
+                }
             });
             console.log("");
 
@@ -547,10 +674,22 @@ class SmartPoolManager {
             }
             console.log("");
 
+            // 8. 仓位级别报告（未领取手续费和仓位价值）
+            let positionReport = null;
+            if (includePositions) {
+                try {
+                    positionReport = await this.getPositionReport(this.wallet.address, poolAddress);
+                } catch (reportError) {
+                    console.log(`⚠️ 仓位报告获取失败: ${reportError.message}`);
+                }
+                console.log("");
+            }
+
             return {
                 poolState: { slot0, token0, token1, fee, tickSpacing, liquidity },
                 tokenInfo: { decimals0, decimals1, symbol0, symbol1 },
-                analysis: { currentTick, spacing, humanPrice: adjustedHumanPrice }
+                analysis: { currentTick, spacing, sqrtPriceX96, humanPrice, inversePrice },
+                positions: positionReport
             };
 
         } catch (error) {
@@ -561,8 +700,61 @@ class SmartPoolManager {
 
     // ========== 流动性添加相关方法 ==========
     
+    // 根据当前价格和区间计算预算内可提供的最大流动性，以及实际消耗、滑点最小值和剩余数量
+    // budget0 / budget1 为原始单位（wei）预算，sqrtPriceX96 为池子当前价格
+    planMint({ sqrtPriceX96, tickLower, tickUpper, budget0, budget1, decimals0, decimals1, symbol0, symbol1 }) {
+        const sqrtP = V3Math.toBigInt(sqrtPriceX96);
+        const sqrtLower = V3Math.getSqrtRatioAtTick(tickLower);
+        const sqrtUpper = V3Math.getSqrtRatioAtTick(tickUpper);
+        const amount0Budget = V3Math.toBigInt(budget0);
+        const amount1Budget = V3Math.toBigInt(budget1);
+        
+        // 与 NonfungiblePositionManager 相同的 LiquidityAmounts 计算
+        const liquidity = V3Math.getLiquidityForAmounts(sqrtP, sqrtLower, sqrtUpper, amount0Budget, amount1Budget);
+        if (liquidity === 0n) {
+            throw new Error(`预算不足以在区间 ${tickLower} 到 ${tickUpper} 提供流动性（当前价格区间需要的代币数量为 0）`);
+        }
+        
+        // 池子 mint 时向上取整收取代币
+        let amount0 = 0n;
+        let amount1 = 0n;
+        if (sqrtP <= sqrtLower) {
+            amount0 = V3Math.getAmount0Delta(sqrtLower, sqrtUpper, liquidity, true);
+        } else if (sqrtP < sqrtUpper) {
+            amount0 = V3Math.getAmount0Delta(sqrtP, sqrtUpper, liquidity, true);
+            amount1 = V3Math.getAmount1Delta(sqrtLower, sqrtP, liquidity, true);
+        } else {
+            amount1 = V3Math.getAmount1Delta(sqrtLower, sqrtUpper, liquidity, true);
+        }
+        
+        // 滑点保护基于实际消耗数量，而不是预算
+        const slippage = BigInt(Math.round(CONFIG.SLIPPAGE * 100));
+        const amount0Min = (amount0 * (10000n - slippage)) / 10000n;
+        const amount1Min = (amount1 * (10000n - slippage)) / 10000n;
+        
+        const toBN = value => ethers.BigNumber.from(value.toString());
+        const fmt = (value, decimals) => ethers.utils.formatUnits(toBN(value), decimals);
+        
+        console.log(`🧮 流动性计算 (当前价格: 1 ${symbol0} = ${V3Math.sqrtPriceX96ToPrice(sqrtP, decimals0, decimals1)} ${symbol1}):`);
+        console.log(`   最大流动性: ${liquidity.toString()}`);
+        console.log(`   预计消耗: ${fmt(amount0, decimals0)} ${symbol0} + ${fmt(amount1, decimals1)} ${symbol1}`);
+        console.log(`   预计剩余: ${fmt(amount0Budget - amount0, decimals0)} ${symbol0} + ${fmt(amount1Budget - amount1, decimals1)} ${symbol1}`);
+        console.log(`   最小数量 (${CONFIG.SLIPPAGE}% 滑点): ${fmt(amount0Min, decimals0)} ${symbol0} + ${fmt(amount1Min, decimals1)} ${symbol1}`);
+        
+        return {
+            liquidity,
+            amount0: toBN(amount0),
+            amount1: toBN(amount1),
+            amount0Min: toBN(amount0Min),
+            amount1Min: toBN(amount1Min),
+            leftover0: toBN(amount0Budget - amount0),
+            leftover1: toBN(amount1Budget - amount1)
+        };
+    }
+
     // 安全添加流动性（带全范围备选方案）
-    async safeAddLiquidity(mintParams) {
+    // mintPlan: 安全模式切换为全范围时用于重新计算最小数量的 planMint 参数
+    async safeAddLiquidity(mintParams, mintPlan = null) {
         try {
             const gasPrice = await this.provider.getGasPrice();
             const nonce = await this.provider.getTransactionCount(this.wallet.address, 'pending');
@@ -599,14 +791,19 @@ class SmartPoolManager {
             console.error("❌ 流动性添加失败:", error.message);
             
             // 安全模式：尝试全范围流动性
-            if (CONFIG.SAFE_MODE && mintParams.tickLower !== -887220 && mintParams.tickUpper !== 887220) {
+            // 按池子手续费对应的 tickSpacing 计算有效的全范围
+            const { minTick: validMinTick, maxTick: validMaxTick } = V3Math.getTickBounds(V3Math.getTickSpacing(mintParams.fee));
+            
+            // percent / above / below 是明确指定的价格区间（单边区间相当于限价单），
+            // 改成全范围双边仓位会违背用户意图并动用另一种代币的预算，失败时直接抛出
+            const explicitRange = ["percent", "above", "below"].includes(CONFIG.RANGE_MODE);
+            if (CONFIG.SAFE_MODE && explicitRange) {
+                console.log(`🛡️ 安全模式: ${CONFIG.RANGE_MODE} 区间为明确指定的区间，不切换为全范围`);
+            }
+            
+            if (CONFIG.SAFE_MODE && !explicitRange && mintParams.tickLower !== validMinTick && mintParams.tickUpper !== validMaxTick) {
                 console.log("\n🛡️ 启动安全模式：尝试全范围流动性...");
                 
-                // 为 3000 fee (tickSpacing = 60) 计算有效的全范围
-                const spacing = 60;
-                const validMaxTick = Math.floor(887272 / spacing) * spacing; // 887220
-                const validMinTick = Math.ceil(-887272 / spacing) * spacing; // -887220
-                
                 const safeMintParams = {
                     ...mintParams,
                     tickLower: validMinTick,
@@ -615,6 +812,13 @@ class SmartPoolManager {
                 
                 console.log(`🔄 安全模式参数: tick范围 ${validMinTick} 到 ${validMaxTick}`);
                 
+                // 区间改变后消耗比例也会改变，需要重新计算最小数量
+                if (mintPlan) {
+                    const plan = this.planMint({ ...mintPlan, tickLower: validMinTick, tickUpper: validMaxTick });
+                    safeMintParams.amount0Min = plan.amount0Min;
+                    safeMintParams.amount1Min = plan.amount1Min;
+                }
+                
                 try {
                     return await this.safeAddLiquidity(safeMintParams);
                 } catch (safeError) {
@@ -634,36 +838,35 @@ class SmartPoolManager {
             const diagnosis = await this.diagnosePool(poolAddress);
             const { poolState, tokenInfo, analysis } = diagnosis;
 
-            // 2. 选择策略 - 使用宽范围确保成功
+            // 2. 选择策略 - 围绕池子当前价格
             console.log("🚀 开始添加流动性...");
-            console.log("💡 策略: 使用宽范围围绕当前价格\n");
-
-            const rangeMultiplier = poolState.liquidity.eq(0) ? 100 : 50; // 如果没有流动性用更宽的范围
-            const rangeWidth = rangeMultiplier * analysis.spacing;
-            
-            let tickLower = analysis.currentTick - rangeWidth;
-            let tickUpper = analysis.currentTick + rangeWidth;
-            
-            // 标准化
-            tickLower = Math.floor(tickLower / analysis.spacing) * analysis.spacing;
-            tickUpper = Math.floor(tickUpper / analysis.spacing) * analysis.spacing;
-            
-            // 限制范围
-            tickLower = Math.max(tickLower, -887200);
-            tickUpper = Math.min(tickUpper, 887200);
+            console.log(`💡 策略: ${CONFIG.RANGE_MODE} 范围围绕当前价格\n`);
 
-            console.log(`🎯 使用的 Tick 范围: ${tickLower} 到 ${tickUpper}`);
-            console.log(`   宽度: ${tickUpper - tickLower} ticks`);
-            console.log(`   当前价格在范围内: ${analysis.currentTick >= tickLower && analysis.currentTick <= tickUpper ? '✅' : '❌'}`);
+            const rangeOptions = this.getRangeOptions(analysis.currentTick, analysis.sqrtPriceX96);
+            if (rangeOptions.mode === "multiplier" && rangeOptions.rangeMultiplier === undefined) {
+                // 未配置 RANGE_MULTIPLIER 时使用宽范围确保成功，如果没有流动性用更宽的范围
+                rangeOptions.rangeMultiplier = poolState.liquidity.eq(0) ? 100 : 50;
+            }
+            const { tickLower, tickUpper } = this.getOptimalTickRange(poolState.fee, rangeOptions);
             console.log("");
 
-            // 3. 计算代币数量
-            const amount0Desired = ethers.utils.parseUnits(CONFIG.AMOUNT_A, tokenInfo.decimals0);
-            const amount1Desired = ethers.utils.parseUnits(CONFIG.AMOUNT_B, tokenInfo.decimals1);
+            // 3. 计算代币数量（AMOUNT_A / AMOUNT_B 为预算，按池子代币顺序对应）
+            const aIsToken0 = poolState.token0.toLowerCase() === CONFIG.TOKEN_A.toLowerCase();
+            const [budget0, budget1] = aIsToken0 ? [CONFIG.AMOUNT_A, CONFIG.AMOUNT_B] : [CONFIG.AMOUNT_B, CONFIG.AMOUNT_A];
+            const amount0Desired = ethers.utils.parseUnits(budget0, tokenInfo.decimals0);
+            const amount1Desired = ethers.utils.parseUnits(budget1, tokenInfo.decimals1);
             
-            console.log(`💰 代币数量:`);
+            console.log(`💰 代币预算:`);
             console.log(`   Amount0 (${tokenInfo.symbol0}): ${ethers.utils.formatUnits(amount0Desired, tokenInfo.decimals0)}`);
             console.log(`   Amount1 (${tokenInfo.symbol1}): ${ethers.utils.formatUnits(amount1Desired, tokenInfo.decimals1)}`);
+            
+            const mintPlan = {
+                sqrtPriceX96: analysis.sqrtPriceX96,
+                budget0: amount0Desired,
+                budget1: amount1Desired,
+                ...tokenInfo
+            };
+            const plan = this.planMint({ ...mintPlan, tickLower, tickUpper });
             console.log("");
 
             // 4. 检查授权
@@ -673,14 +876,13 @@ class SmartPoolManager {
             console.log("");
 
             // 5. 准备交易参数
-            const amount0Min = amount0Desired.mul(100 - CONFIG.SLIPPAGE).div(100);
-            const amount1Min = amount1Desired.mul(100 - CONFIG.SLIPPAGE).div(100);
+            const { amount0Min, amount1Min } = plan;
             const deadline = Math.floor(Date.now() / 1000) + 600;
 
             const mintParams = {
                 token0: poolState.token0,
                 token1: poolState.token1,
-                fee: CONFIG.FEE,
+                fee: poolState.fee,
                 tickLower: tickLower,
                 tickUpper: tickUpper,
                 amount0Desired: amount0Desired,
@@ -699,7 +901,7 @@ class SmartPoolManager {
             console.log("");
 
             // 6. 执行交易
-            const mintReceipt = await this.safeAddLiquidity(mintParams);
+            const mintReceipt = await this.safeAddLiquidity(mintParams, mintPlan);
             console.log("");
 
             console.log("🎊 恭喜！流动性添加完成！");
@@ -707,7 +909,7 @@ class SmartPoolManager {
             console.log(`🏊 池子地址: ${poolAddress}`);
             console.log(`💱 代币对: ${tokenInfo.symbol0}/${tokenInfo.symbol1}`);
             console.log(`💸 手续费: ${CONFIG.FEE / 10000}%`);
-            console.log(`🌊 添加的流动性: ${CONFIG.AMOUNT_A} ${tokenInfo.symbol0} + ${CONFIG.AMOUNT_B} ${tokenInfo.symbol1}`);
+            console.log(`🌊 添加的流动性: ${ethers.utils.formatUnits(plan.amount0, tokenInfo.decimals0)} ${tokenInfo.symbol0} + ${ethers.utils.formatUnits(plan.amount1, tokenInfo.decimals1)} ${tokenInfo.symbol1} (预计)`);
             console.log(`🎯 Tick 范围: ${tickLower} 到 ${tickUpper}`);
             console.log(`🔍 交易链接: https://sepolia.basescan.org/tx/${mintReceipt.transactionHash}`);
             console.log("=" .repeat(50));
@@ -739,7 +941,7 @@ class SmartPoolManager {
             const decimalDiff = Math.abs(tokenAInfo.decimals - tokenBInfo.decimals);
             if (decimalDiff > 0) {
                 console.log(`⚠️ 检测到精度差异: ${decimalDiff}位`);
-                console.log(`💡 将使用${CONFIG.HUMAN_RATIO ? '人类可读' : '原始单位'}1:1比例`);
+                console.log(`💡 初始价格: ${SmartPoolManager.describePriceMode()}`);
             }
             console.log("");
 
@@ -790,13 +992,23 @@ class SmartPoolManager {
 
             // 6. 计算价格和 tick 参数
             console.log("5️⃣ 计算池子参数...");
-            const sqrtPriceX96 = this.calculateSqrtPriceX96(decimals0, decimals1, CONFIG.HUMAN_RATIO);
-            const { tickLower, tickUpper } = this.getOptimalTickRange(CONFIG.FEE, CONFIG.HUMAN_RATIO);
+            const aIsToken0 = token0 === CONFIG.TOKEN_A;
+            const initialSqrtPrice = await this.resolveInitialPrice(tokenAInfo, tokenBInfo, aIsToken0);
+            const sqrtPriceX96 = ethers.BigNumber.from(initialSqrtPrice.toString());
+            const initialTick = V3Math.getTickAtSqrtRatio(initialSqrtPrice);
+            // 原始单位1:1模式沿用全范围
+            const concentrated = CONFIG.PRICE_MODE !== "ratio" || CONFIG.HUMAN_RATIO;
+            const rangeOptions = concentrated
+                ? this.getRangeOptions(initialTick, initialSqrtPrice)
+                : { mode: "full" };
+            const { tickLower, tickUpper } = this.getOptimalTickRange(CONFIG.FEE, rangeOptions);
             
             console.log(`📋 最终参数:`);
             console.log(`   sqrtPriceX96: ${sqrtPriceX96.toString()}`);
+            console.log(`   初始Tick: ${initialTick}`);
+            console.log(`   初始价格: 1 ${symbol0} = ${V3Math.sqrtPriceX96ToPrice(initialSqrtPrice, decimals0, decimals1)} ${symbol1}`);
             console.log(`   Tick范围: ${tickLower} 到 ${tickUpper}`);
-            console.log(`   比例类型: ${CONFIG.HUMAN_RATIO ? '人类1:1' : '原始1:1'}`);
+            console.log(`   价格来源: ${SmartPoolManager.describePriceMode()}`);
             console.log("");
 
             // 7. 创建池子
@@ -818,39 +1030,35 @@ class SmartPoolManager {
             // 根据池子实际状态重新计算 tick 范围
             console.log("🔄 根据池子实际状态调整参数...");
             const { slot0 } = validation.poolState;
-            const { validMinTick, validMaxTick } = validation.constraints;
             
-            // 如果人类比例模式，围绕当前 tick 创建范围
+            // 集中流动性模式下围绕池子实际的当前 tick 创建范围
+            // （池子已存在时 createAndInitializePoolIfNecessary 不会改变其价格）
             let adjustedTickLower, adjustedTickUpper;
             
-            if (CONFIG.HUMAN_RATIO) {
-                const rangeWidth = 10 * 60; // 对于 3000 fee，tickSpacing = 60
-                adjustedTickLower = slot0.tick - rangeWidth;
-                adjustedTickUpper = slot0.tick + rangeWidth;
-                
-                // 标准化为 tickSpacing 的倍数
-                const spacing = 60; // CONFIG.FEE === 3000
-                adjustedTickLower = Math.floor(adjustedTickLower / spacing) * spacing;
-                adjustedTickUpper = Math.floor(adjustedTickUpper / spacing) * spacing;
-                
-                // 确保在有效范围内
-                adjustedTickLower = Math.max(adjustedTickLower, validMinTick);
-                adjustedTickUpper = Math.min(adjustedTickUpper, validMaxTick);
+            if (concentrated) {
+                ({ tickLower: adjustedTickLower, tickUpper: adjustedTickUpper } =
+                    this.getOptimalTickRange(CONFIG.FEE, this.getRangeOptions(slot0.tick, slot0.sqrtPriceX96)));
                 
                 console.log(`   调整后的Tick范围: ${adjustedTickLower} 到 ${adjustedTickUpper}`);
-                console.log(`   围绕当前Tick(${slot0.tick})创建对称范围`);
+                console.log(`   围绕当前Tick(${slot0.tick})创建范围`);
             } else {
                 // 全范围使用原来的计算
                 adjustedTickLower = tickLower;
                 adjustedTickUpper = tickUpper;
             }
 
-            // 9. 添加流动性
             // 9. 添加流动性
             console.log("8️⃣ 添加流动性...");
             
-            const amount0Min = amount0Desired.mul(100 - CONFIG.SLIPPAGE).div(100);
-            const amount1Min = amount1Desired.mul(100 - CONFIG.SLIPPAGE).div(100);
+            // 按池子实际价格计算消耗数量和滑点最小值
+            const mintPlan = {
+                sqrtPriceX96: slot0.sqrtPriceX96,
+                budget0: amount0Desired,
+                budget1: amount1Desired,
+                decimals0, decimals1, symbol0, symbol1
+            };
+            const plan = this.planMint({ ...mintPlan, tickLower: adjustedTickLower, tickUpper: adjustedTickUpper });
+            const { amount0Min, amount1Min } = plan;
             const deadline = Math.floor(Date.now() / 1000) + 600;
 
             const mintParams = {
@@ -879,7 +1087,7 @@ class SmartPoolManager {
             console.log(`   Amount1Min: ${ethers.utils.formatUnits(amount1Min, decimals1)} ${symbol1}`);
             console.log("");
 
-            const mintReceipt = await this.safeAddLiquidity(mintParams);
+            const mintReceipt = await this.safeAddLiquidity(mintParams, mintPlan);
             console.log("");
 
             // 10. 显示最终结果
@@ -888,8 +1096,8 @@ class SmartPoolManager {
             console.log(`🏊 池子地址: ${poolAddress}`);
             console.log(`💱 代币对: ${symbol0}/${symbol1}`);
             console.log(`💸 手续费: ${CONFIG.FEE / 10000}%`);
-            console.log(`🌊 初始流动性: ${amount0} ${symbol0} + ${amount1} ${symbol1}`);
-            console.log(`🎯 价格比例: ${CONFIG.HUMAN_RATIO ? '人类1:1' : '原始1:1'}`);
+            console.log(`🌊 初始流动性: ${ethers.utils.formatUnits(plan.amount0, decimals0)} ${symbol0} + ${ethers.utils.formatUnits(plan.amount1, decimals1)} ${symbol1} (预计)`);
+            console.log(`🎯 初始价格: ${SmartPoolManager.describePriceMode()}`);
             console.log(`📊 最终Tick范围: ${adjustedTickLower} 到 ${adjustedTickUpper}`);
             console.log(`🔧 当前池子Tick: ${slot0.tick}`);
             console.log(`🔍 Base Sepolia 浏览器: https://sepolia.basescan.org/address/${poolAddress}`);
@@ -914,6 +1122,402 @@ class SmartPoolManager {
         }
     }
 
+    // ========== LP 仓位管理 ==========
+
+    // 通过 PositionManager 发送交易（gas 估算 + 重试前的统一处理）
+    async sendPositionManagerTx(method, args, label) {
+        const gasPrice = await this.provider.getGasPrice();
+        const nonce = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+        
+        let gasEstimate;
+        try {
+            gasEstimate = await this.positionManager.estimateGas[method](...args);
+            console.log(`⛽ ${label} Gas 估算: ${gasEstimate.toString()}`);
+        } catch (estimateError) {
+            console.log(`⚠️ ${label} Gas 估算失败，使用默认值`);
+            gasEstimate = ethers.BigNumber.from("500000");
+        }
+        
+        const tx = await this.positionManager[method](...args, {
+            nonce: nonce,
+            gasLimit: gasEstimate.mul(120).div(100),
+            gasPrice: gasPrice.mul(110).div(100)
+        });
+        
+        console.log(`🔗 ${label}交易: ${tx.hash}`);
+        console.log("⏳ 等待确认...");
+        
+        const receipt = await tx.wait(2);
+        if (receipt.status !== 1) throw new Error(`${label}交易失败`);
+        console.log(`✅ ${label}成功`);
+        return receipt;
+    }
+
+    // 读取并解码单个仓位：区间、流动性、当前可取回的代币数量、是否在区间内
+    // position: 已读取的 positionManager.positions(tokenId) 结果（可选，避免重复查询）
+    async getPosition(tokenId, position = null) {
+        if (!position) position = await this.positionManager.positions(tokenId);
+        const [info0, info1, poolAddress] = await Promise.all([
+            this.getTokenInfo(position.token0),
+            this.getTokenInfo(position.token1),
+            this.factory.getPool(position.token0, position.token1, position.fee)
+        ]);
+        
+        const poolContract = new ethers.Contract(poolAddress, ABIS.POOL, this.provider);
+        const slot0 = await poolContract.slot0();
+        const sqrtPriceX96 = V3Math.toBigInt(slot0.sqrtPriceX96);
+        const liquidity = V3Math.toBigInt(position.liquidity);
+        const sqrtLower = V3Math.getSqrtRatioAtTick(position.tickLower);
+        const sqrtUpper = V3Math.getSqrtRatioAtTick(position.tickUpper);
+        const { amount0, amount1 } = V3Math.getAmountsForLiquidity(sqrtPriceX96, sqrtLower, sqrtUpper, liquidity);
+        
+        return {
+            tokenId: ethers.BigNumber.from(tokenId),
+            poolAddress,
+            token0: position.token0,
+            token1: position.token1,
+            symbol0: info0.symbol,
+            symbol1: info1.symbol,
+            decimals0: info0.decimals,
+            decimals1: info1.decimals,
+            fee: position.fee,
+            tickLower: position.tickLower,
+            tickUpper: position.tickUpper,
+            liquidity,
+            currentTick: slot0.tick,
+            sqrtPriceX96,
+            // 与池子一致：tickLower <= 当前tick < tickUpper 时仓位在区间内
+            inRange: slot0.tick >= position.tickLower && slot0.tick < position.tickUpper,
+            amount0,
+            amount1,
+            tokensOwed0: V3Math.toBigInt(position.tokensOwed0),
+            tokensOwed1: V3Math.toBigInt(position.tokensOwed1),
+            feeGrowthInside0LastX128: V3Math.toBigInt(position.feeGrowthInside0LastX128),
+            feeGrowthInside1LastX128: V3Math.toBigInt(position.feeGrowthInside1LastX128),
+            priceLower: V3Math.sqrtPriceX96ToPrice(sqrtLower, info0.decimals, info1.decimals),
+            priceUpper: V3Math.sqrtPriceX96ToPrice(sqrtUpper, info0.decimals, info1.decimals),
+            priceCurrent: V3Math.sqrtPriceX96ToPrice(sqrtPriceX96, info0.decimals, info1.decimals)
+        };
+    }
+
+    // 打印仓位摘要
+    printPosition(position) {
+        const fmt = (value, decimals) => ethers.utils.formatUnits(value.toString(), decimals);
+        const { symbol0, symbol1, decimals0, decimals1 } = position;
+        
+        console.log(`📍 仓位 #${position.tokenId.toString()} ${symbol0}/${symbol1} (${position.fee / 10000}%)`);
+        console.log(`   池子: ${position.poolAddress}`);
+        console.log(`   Tick 范围: ${position.tickLower} 到 ${position.tickUpper} (当前Tick: ${position.currentTick})`);
+        console.log(`   价格范围: ${position.priceLower} ~ ${position.priceUpper} ${symbol1}/${symbol0} (当前: ${position.priceCurrent})`);
+        console.log(`   状态: ${position.liquidity === 0n ? '⚪ 已清空' : position.inRange ? '🟢 在区间内' : '🔴 不在区间内'}`);
+        console.log(`   流动性: ${position.liquidity.toString()}`);
+        console.log(`   代币数量: ${fmt(position.amount0, decimals0)} ${symbol0} + ${fmt(position.amount1, decimals1)} ${symbol1}`);
+        console.log(`   待领取 (tokensOwed): ${fmt(position.tokensOwed0, decimals0)} ${symbol0} + ${fmt(position.tokensOwed1, decimals1)} ${symbol1}`);
+    }
+
+    // 计算仓位未领取的手续费（不调用 collect）
+    // 未领取 = tokensOwed + liquidity * (feeGrowthInside - feeGrowthInsideLast) / 2^128
+    async getPositionFees(position) {
+        const poolContract = new ethers.Contract(position.poolAddress, ABIS.POOL, this.provider);
+        const [feeGrowthGlobal0X128, feeGrowthGlobal1X128, lower, upper] = await Promise.all([
+            poolContract.feeGrowthGlobal0X128(),
+            poolContract.feeGrowthGlobal1X128(),
+            poolContract.ticks(position.tickLower),
+            poolContract.ticks(position.tickUpper)
+        ]);
+        
+        const feeGrowthInside0X128 = V3Math.getFeeGrowthInside(
+            position.tickLower, position.tickUpper, position.currentTick,
+            feeGrowthGlobal0X128, lower.feeGrowthOutside0X128, upper.feeGrowthOutside0X128
+        );
+        const feeGrowthInside1X128 = V3Math.getFeeGrowthInside(
+            position.tickLower, position.tickUpper, position.currentTick,
+            feeGrowthGlobal1X128, lower.feeGrowthOutside1X128, upper.feeGrowthOutside1X128
+        );
+        
+        return {
+            fees0: position.tokensOwed0 + V3Math.getTokensOwed(position.feeGrowthInside0LastX128, feeGrowthInside0X128, position.liquidity),
+            fees1: position.tokensOwed1 + V3Math.getTokensOwed(position.feeGrowthInside1LastX128, feeGrowthInside1X128, position.liquidity)
+        };
+    }
+
+    // 仓位价值：流动性对应的代币 + 未领取手续费，分别以 token0 和 token1 计价
+    async getPositionValue(position) {
+        const { fees0, fees1 } = await this.getPositionFees(position);
+        const total0 = position.amount0 + fees0;
+        const total1 = position.amount1 + fees1;
+        return {
+            ...position,
+            fees0,
+            fees1,
+            total0,
+            total1,
+            valueIn0: total0 + V3Math.amount1ToAmount0(total1, position.sqrtPriceX96),
+            valueIn1: total1 + V3Math.amount0ToAmount1(total0, position.sqrtPriceX96)
+        };
+    }
+
+    // 打印仓位价值
+    printPositionValue(value) {
+        const fmt = (amount, decimals) => ethers.utils.formatUnits(amount.toString(), decimals);
+        const { symbol0, symbol1, decimals0, decimals1 } = value;
+        
+        this.printPosition(value);
+        console.log(`   未领取手续费: ${fmt(value.fees0, decimals0)} ${symbol0} + ${fmt(value.fees1, decimals1)} ${symbol1}`);
+        console.log(`   合计 (流动性 + 手续费): ${fmt(value.total0, decimals0)} ${symbol0} + ${fmt(value.total1, decimals1)} ${symbol1}`);
+        console.log(`   仓位价值: ${fmt(value.valueIn0, decimals0)} ${symbol0} ≈ ${fmt(value.valueIn1, decimals1)} ${symbol1}`);
+    }
+
+    // 钱包所有 LP 仓位的价值报告；poolAddress 不为空时只统计该池子
+    // 合计按代币对分组（不同代币对之间无法直接相加）
+    async getPositionReport(owner = this.wallet.address, poolAddress = null) {
+        console.log(`📋 LP 仓位价值报告: ${owner}${poolAddress ? ` (池子 ${poolAddress})` : ''}\n`);
+        
+        const count = (await this.positionManager.balanceOf(owner)).toNumber();
+        const tokenIds = await Promise.all(
+            Array.from({ length: count }, (_, i) => this.positionManager.tokenOfOwnerByIndex(owner, i))
+        );
+        
+        const rawPositions = await Promise.all(tokenIds.map(tokenId => this.positionManager.positions(tokenId)));
+        let matched = tokenIds.map((tokenId, i) => ({ tokenId, raw: rawPositions[i] }));
+        
+        // 先按 token0/token1/fee 过滤，只为该池子的仓位查询池子状态和手续费
+        if (poolAddress) {
+            const poolContract = new ethers.Contract(poolAddress, ABIS.POOL, this.provider);
+            const [token0, token1, fee] = await Promise.all([
+                poolContract.token0(),
+                poolContract.token1(),
+                poolContract.fee()
+            ]);
+            matched = matched.filter(({ raw }) =>
+                raw.token0.toLowerCase() === token0.toLowerCase() &&
+                raw.token1.toLowerCase() === token1.toLowerCase() &&
+                Number(raw.fee) === Number(fee)
+            );
+        }
+        
+        const values = await Promise.all(
+            matched.map(async ({ tokenId, raw }) => this.getPositionValue(await this.getPosition(tokenId, raw)))
+        );
+        
+        const positions = [];
+        const totals = new Map();
+        for (const value of values) {
+            this.printPositionValue(value);
+            console.log("");
+            positions.push(value);
+            
+            const key = `${value.token0}/${value.token1}`;
+            const total = totals.get(key) || {
+                token0: value.token0, token1: value.token1,
+                symbol0: value.symbol0, symbol1: value.symbol1,
+                decimals0: value.decimals0, decimals1: value.decimals1,
+                positions: 0, total0: 0n, total1: 0n, fees0: 0n, fees1: 0n, valueIn0: 0n, valueIn1: 0n
+            };
+            total.positions++;
+            for (const field of ["total0", "total1", "fees0", "fees1", "valueIn0", "valueIn1"]) {
+                total[field] += value[field];
+            }
+            totals.set(key, total);
+        }
+        
+        console.log("📊 合计:");
+        if (totals.size === 0) console.log("   没有仓位");
+        const fmt = (amount, decimals) => ethers.utils.formatUnits(amount.toString(), decimals);
+        for (const total of totals.values()) {
+            const { symbol0, symbol1, decimals0, decimals1 } = total;
+            console.log(`   ${symbol0}/${symbol1} (${total.positions} 个仓位):`);
+            console.log(`      代币: ${fmt(total.total0, decimals0)} ${symbol0} + ${fmt(total.total1, decimals1)} ${symbol1}`);
+            console.log(`      其中未领取手续费: ${fmt(total.fees0, decimals0)} ${symbol0} + ${fmt(total.fees1, decimals1)} ${symbol1}`);
+            console.log(`      总价值: ${fmt(total.valueIn0, decimals0)} ${symbol0} ≈ ${fmt(total.valueIn1, decimals1)} ${symbol1}`);
+        }
+        
+        return { positions, totals: [...totals.values()] };
+    }
+
+    // 列出钱包的所有 V3 LP 仓位
+    async listPositions(owner = this.wallet.address) {
+        console.log(`📋 查询 ${owner} 的 LP 仓位...\n`);
+        
+        const count = (await this.positionManager.balanceOf(owner)).toNumber();
+        const tokenIds = await Promise.all(
+            Array.from({ length: count }, (_, i) => this.positionManager.tokenOfOwnerByIndex(owner, i))
+        );
+        
+        const positions = [];
+        for (const tokenId of tokenIds) {
+            const position = await this.getPosition(tokenId);
+            this.printPosition(position);
+            console.log("");
+            positions.push(position);
+        }
+        
+        const active = positions.filter(p => p.liquidity > 0n);
+        console.log(`📊 共 ${positions.length} 个仓位，${active.length} 个有流动性，${active.filter(p => p.inRange).length} 个在区间内`);
+        return positions;
+    }
+
+    // 向已有仓位追加流动性，amount0 / amount1 为人类可读预算（按仓位的 token0 / token1）
+    async increasePosition(tokenId, amount0, amount1) {
+        const position = await this.getPosition(tokenId);
+        this.printPosition(position);
+        console.log("");
+        
+        const { token0, token1, symbol0, symbol1, decimals0, decimals1 } = position;
+        const budget0 = ethers.utils.parseUnits(amount0.toString(), decimals0);
+        const budget1 = ethers.utils.parseUnits(amount1.toString(), decimals1);
+        
+        const plan = this.planMint({
+            sqrtPriceX96: position.sqrtPriceX96,
+            tickLower: position.tickLower,
+            tickUpper: position.tickUpper,
+            budget0, budget1, decimals0, decimals1, symbol0, symbol1
+        });
+        console.log("");
+        
+        await this.checkBalance(token0, plan.amount0, decimals0, symbol0);
+        await this.checkBalance(token1, plan.amount1, decimals1, symbol1);
+        await this.handleApproval(token0, symbol0, budget0);
+        await this.handleApproval(token1, symbol1, budget1);
+        
+        const params = {
+            tokenId: position.tokenId,
+            amount0Desired: budget0,
+            amount1Desired: budget1,
+            amount0Min: plan.amount0Min,
+            amount1Min: plan.amount1Min,
+            deadline: Math.floor(Date.now() / 1000) + 600
+        };
+        
+        const receipt = await this.sendPositionManagerTx("increaseLiquidity", [params], "追加流动性");
+        console.log("");
+        
+        const updated = await this.getPosition(tokenId);
+        console.log(`📈 流动性: ${position.liquidity.toString()} → ${updated.liquidity.toString()}`);
+        this.printPosition(updated);
+        return { receipt, plan, position: updated };
+    }
+
+    // 按百分比移除流动性（移除的代币计入 tokensOwed），collect = true 时随后领取
+    async decreasePosition(tokenId, percent, collect = true) {
+        // 非数字（如 "abc"、"50%"）按 0 处理，走下面的校验而不是让 BigInt 抛 RangeError
+        const value = Number(percent);
+        const bps = Number.isFinite(value) ? BigInt(Math.round(value * 100)) : 0n;
+        if (bps <= 0n || bps > 10000n) throw new Error(`无效的百分比: ${percent}（应在 0 ~ 100 之间）`);
+        
+        const position = await this.getPosition(tokenId);
+        this.printPosition(position);
+        console.log("");
+        if (position.liquidity === 0n) throw new Error(`仓位 #${tokenId} 没有流动性`);
+        
+        const { symbol0, symbol1, decimals0, decimals1 } = position;
+        const liquidity = (position.liquidity * bps) / 10000n;
+        
+        // 池子 burn 时向下取整返还代币
+        const expected = V3Math.getAmountsForLiquidity(
+            position.sqrtPriceX96,
+            V3Math.getSqrtRatioAtTick(position.tickLower),
+            V3Math.getSqrtRatioAtTick(position.tickUpper),
+            liquidity
+        );
+        const slippage = BigInt(Math.round(CONFIG.SLIPPAGE * 100));
+        const amount0Min = (expected.amount0 * (10000n - slippage)) / 10000n;
+        const amount1Min = (expected.amount1 * (10000n - slippage)) / 10000n;
+        const fmt = (value, decimals) => ethers.utils.formatUnits(value.toString(), decimals);
+        
+        console.log(`📉 移除 ${percent}% 流动性: ${liquidity.toString()} / ${position.liquidity.toString()}`);
+        console.log(`   预计取回: ${fmt(expected.amount0, decimals0)} ${symbol0} + ${fmt(expected.amount1, decimals1)} ${symbol1}`);
+        console.log(`   最小数量 (${CONFIG.SLIPPAGE}% 滑点): ${fmt(amount0Min, decimals0)} ${symbol0} + ${fmt(amount1Min, decimals1)} ${symbol1}`);
+        
+        const params = {
+            tokenId: position.tokenId,
+            liquidity: liquidity.toString(),
+            amount0Min: amount0Min.toString(),
+            amount1Min: amount1Min.toString(),
+            deadline: Math.floor(Date.now() / 1000) + 600
+        };
+        
+        const receipt = await this.sendPositionManagerTx("decreaseLiquidity", [params], "移除流动性");
+        console.log("");
+        
+        const collected = collect ? await this.collectFees(tokenId) : null;
+        if (!collect) {
+            this.printPosition(await this.getPosition(tokenId));
+        }
+        return { receipt, liquidity, expected, collected };
+    }
+
+    // 领取仓位的全部待领取代币（手续费 + 已移除的流动性）
+    async collectFees(tokenId, recipient = this.wallet.address) {
+        const position = await this.getPosition(tokenId);
+        const { symbol0, symbol1, decimals0, decimals1 } = position;
+        const MAX_UINT128 = ethers.BigNumber.from(2).pow(128).sub(1);
+        const params = {
+            tokenId: position.tokenId,
+            recipient,
+            amount0Max: MAX_UINT128,
+            amount1Max: MAX_UINT128
+        };
+        
+        // 静态调用会先结算手续费，得到本次实际可领取的数量
+        const preview = await this.positionManager.callStatic.collect(params, { from: this.wallet.address });
+        const fmt = (value, decimals) => ethers.utils.formatUnits(value, decimals);
+        console.log(`💰 可领取: ${fmt(preview.amount0, decimals0)} ${symbol0} + ${fmt(preview.amount1, decimals1)} ${symbol1}`);
+        
+        if (preview.amount0.isZero() && preview.amount1.isZero()) {
+            console.log("ℹ️ 没有可领取的代币，跳过");
+            return { receipt: null, amount0: preview.amount0, amount1: preview.amount1 };
+        }
+        
+        const receipt = await this.sendPositionManagerTx("collect", [params], "领取");
+        console.log(`   已领取到 ${recipient}`);
+        console.log("");
+        this.printPosition(await this.getPosition(tokenId));
+        return { receipt, amount0: preview.amount0, amount1: preview.amount1 };
+    }
+
+    // 销毁已清空的仓位 NFT（流动性和待领取数量都必须为 0）
+    async burnPosition(tokenId) {
+        const position = await this.getPosition(tokenId);
+        this.printPosition(position);
+        console.log("");
+        
+        if (position.liquidity > 0n) {
+            throw new Error(`仓位 #${tokenId} 仍有流动性，请先移除 100% 流动性`);
+        }
+        if (position.tokensOwed0 > 0n || position.tokensOwed1 > 0n) {
+            throw new Error(`仓位 #${tokenId} 仍有待领取代币，请先执行 collect`);
+        }
+        
+        const receipt = await this.sendPositionManagerTx("burn", [position.tokenId], "销毁仓位");
+        console.log(`🔥 仓位 #${tokenId} 已销毁`);
+        return { receipt };
+    }
+
+    // 命令行仓位操作
+    async managePositions(command, args) {
+        switch (command) {
+            case "positions":
+                return this.listPositions(args[0]);
+            case "report":
+                return this.getPositionReport(args[0]);
+            case "increase":
+                if (args.length < 3) throw new Error("用法: increase <TOKEN_ID> <AMOUNT0> <AMOUNT1>");
+                return this.increasePosition(args[0], args[1], args[2]);
+            case "decrease":
+                if (args.length < 2) throw new Error("用法: decrease <TOKEN_ID> <PERCENT> [--no-collect]");
+                return this.decreasePosition(args[0], args[1], !args.includes("--no-collect"));
+            case "collect":
+                if (args.length < 1) throw new Error("用法: collect <TOKEN_ID> [RECIPIENT]");
+                return this.collectFees(args[0], args[1]);
+            case "burn":
+                if (args.length < 1) throw new Error("用法: burn <TOKEN_ID>");
+                return this.burnPosition(args[0]);
+            default:
+                throw new Error(`未知命令: ${command}`);
+        }
+    }
+
     // ========== 智能主流程 ==========
     async smartPoolManagement() {
         try {
@@ -965,18 +1569,22 @@ async function main() {
     console.log("   ✅ 池子不存在时自动创建");
     console.log("   ✅ 池子存在时智能添加流动性");
     console.log("   ✅ 智能精度处理");
-    console.log("   ✅ 人类可读1:1比例");
+    console.log("   ✅ 自定义初始价格（1:1 / 指定价格 / 数量比例 / 参考池子）");
     console.log("   ✅ 自动重试机制");
     console.log("   ✅ 详细池子诊断分析");
+    console.log("   ✅ 价格百分比 / 非对称 / 单边(限价单)区间");
     console.log("   ✅ Tick范围验证和修复");
     console.log("   ✅ 安全模式备选方案");
+    console.log("   ✅ LP 仓位管理（列出 / 追加 / 移除 / 领取 / 销毁）");
+    console.log("   ✅ 仓位价值和未领取手续费报告");
     console.log("   ✅ 完整错误处理");
     console.log("");
     console.log("⚙️ 当前配置:");
     console.log(`   代币A: ${CONFIG.TOKEN_A}`);
     console.log(`   代币B: ${CONFIG.TOKEN_B}`);
-    console.log(`   比例类型: ${CONFIG.HUMAN_RATIO ? '人类1:1' : '原始1:1'}`);
+    console.log(`   初始价格: ${SmartPoolManager.describePriceMode()}`);
     console.log(`   手续费: ${CONFIG.FEE / 10000}%`);
+    console.log(`   区间模式: ${CONFIG.RANGE_MODE}`);
     console.log(`   流动性: ${CONFIG.AMOUNT_A} + ${CONFIG.AMOUNT_B}`);
     console.log(`   安全模式: ${CONFIG.SAFE_MODE ? '启用' : '禁用'}`);
     console.log(`   详细分析: ${CONFIG.DETAILED_ANALYSIS ? '启用' : '禁用'}`);
@@ -986,6 +1594,14 @@ async function main() {
 
     try {
         const manager = new SmartPoolManager();
+        
+        // 带参数时执行仓位管理命令
+        const [command, ...args] = process.argv.slice(2);
+        if (command) {
+            await manager.managePositions(command, args);
+            return;
+        }
+        
         const result = await manager.smartPoolManagement();
         
         console.log("\n🎯 执行结果:");
@@ -0,0 +1,493 @@
+// ====================================
+// Uniswap V3 精确整数数学库 (BigInt)
+// 逐行移植自 v3-core / v3-periphery 的 Solidity 实现:
+//   TickMath         getSqrtRatioAtTick / getTickAtSqrtRatio
+//   FullMath         mulDiv / mulDivRoundingUp
+//   SqrtPriceMath    getAmount0Delta / getAmount1Delta / getNextSqrtPrice*
+//   LiquidityAmounts getLiquidityForAmounts / getAmountsForLiquidity
+// 以及价格 <-> sqrtPriceX96 的精确换算（不使用浮点数）
+// 所有输入输出均为 BigInt（也接受 number / string / ethers.BigNumber）
+// ====================================
+
+// ========== 常量 ==========
+const Q96 = 1n << 96n;
+const Q192 = 1n << 192n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+// 手续费等级对应的 tickSpacing（与 UniswapV3Factory 默认配置一致）
+const FEE_TICK_SPACING = { 100: 1, 500: 10, 3000: 60, 10000: 200 };
+
+// 统一转换为 BigInt
+function toBigInt(value) {
+    if (typeof value === "bigint") return value;
+    if (typeof value === "number") return BigInt(value);
+    return BigInt(value.toString());
+}
+
+// ========== FullMath ==========
+
+// floor(a * b / denominator)，结果必须在 uint256 范围内
+function mulDiv(a, b, denominator) {
+    a = toBigInt(a);
+    b = toBigInt(b);
+    denominator = toBigInt(denominator);
+    if (denominator === 0n) throw new Error("mulDiv: 除数为 0");
+    const result = (a * b) / denominator;
+    if (result > MAX_UINT256) throw new Error("mulDiv: 结果溢出 uint256");
+    return result;
+}
+
+// ceil(a * b / denominator)
+function mulDivRoundingUp(a, b, denominator) {
+    a = toBigInt(a);
+    b = toBigInt(b);
+    denominator = toBigInt(denominator);
+    const result = mulDiv(a, b, denominator);
+    if ((a * b) % denominator > 0n) {
+        if (result === MAX_UINT256) throw new Error("mulDivRoundingUp: 结果溢出 uint256");
+        return result + 1n;
+    }
+    return result;
+}
+
+function divRoundingUp(a, b) {
+    return a / b + (a % b > 0n ? 1n : 0n);
+}
+
+// 整数平方根（向下取整，牛顿迭代）
+function sqrt(value) {
+    value = toBigInt(value);
+    if (value < 0n) throw new Error("sqrt: 负数没有平方根");
+    if (value < 2n) return value;
+    let x0 = value;
+    let x1 = (value >> 1n) + 1n;
+    while (x1 < x0) {
+        x0 = x1;
+        x1 = (x0 + value / x0) >> 1n;
+    }
+    return x0;
+}
+
+// ========== TickMath ==========
+
+// sqrt(1.0001^tick) * 2^96，与链上结果逐位一致
+function getSqrtRatioAtTick(tick) {
+    tick = Number(tick);
+    if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+        throw new Error(`getSqrtRatioAtTick: tick ${tick} 超出范围 [${MIN_TICK}, ${MAX_TICK}]`);
+    }
+    const absTick = BigInt(Math.abs(tick));
+
+    let ratio = (absTick & 0x1n) !== 0n
+        ? 0xfffcb933bd6fad37aa2d162d1a594001n
+        : 0x100000000000000000000000000000000n;
+    if ((absTick & 0x2n) !== 0n) ratio = (ratio * 0xfff97272373d413259a46990580e213an) >> 128n;
+    if ((absTick & 0x4n) !== 0n) ratio = (ratio * 0xfff2e50f5f656932ef12357cf3c7fdccn) >> 128n;
+    if ((absTick & 0x8n) !== 0n) ratio = (ratio * 0xffe5caca7e10e4e61c3624eaa0941cd0n) >> 128n;
+    if ((absTick & 0x10n) !== 0n) ratio = (ratio * 0xffcb9843d60f6159c9db58835c926644n) >> 128n;
+    if ((absTick & 0x20n) !== 0n) ratio = (ratio * 0xff973b41fa98c081472e6896dfb254c0n) >> 128n;
+    if ((absTick & 0x40n) !== 0n) ratio = (ratio * 0xff2ea16466c96a3843ec78b326b52861n) >> 128n;
+    if ((absTick & 0x80n) !== 0n) ratio = (ratio * 0xfe5dee046a99a2a811c461f1969c3053n) >> 128n;
+    if ((absTick & 0x100n) !== 0n) ratio = (ratio * 0xfcbe86c7900a88aedcffc83b479aa3a4n) >> 128n;
+    if ((absTick & 0x200n) !== 0n) ratio = (ratio * 0xf987a7253ac413176f2b074cf7815e54n) >> 128n;
+    if ((absTick & 0x400n) !== 0n) ratio = (ratio * 0xf3392b0822b70005940c7a398e4b70f3n) >> 128n;
+    if ((absTick & 0x800n) !== 0n) ratio = (ratio * 0xe7159475a2c29b7443b29c7fa6e889d9n) >> 128n;
+    if ((absTick & 0x1000n) !== 0n) ratio = (ratio * 0xd097f3bdfd2022b8845ad8f792aa5825n) >> 128n;
+    if ((absTick & 0x2000n) !== 0n) ratio = (ratio * 0xa9f746462d870fdf8a65dc1f90e061e5n) >> 128n;
+    if ((absTick & 0x4000n) !== 0n) ratio = (ratio * 0x70d869a156d2a1b890bb3df62baf32f7n) >> 128n;
+    if ((absTick & 0x8000n) !== 0n) ratio = (ratio * 0x31be135f97d08fd981231505542fcfa6n) >> 128n;
+    if ((absTick & 0x10000n) !== 0n) ratio = (ratio * 0x9aa508b5b7a84e1c677de54f3e99bc9n) >> 128n;
+    if ((absTick & 0x20000n) !== 0n) ratio = (ratio * 0x5d6af8dedb81196699c329225ee604n) >> 128n;
+    if ((absTick & 0x40000n) !== 0n) ratio = (ratio * 0x2216e584f5fa1ea926041bedfe98n) >> 128n;
+    if ((absTick & 0x80000n) !== 0n) ratio = (ratio * 0x48a170391f7dc42444e8fa2n) >> 128n;
+
+    if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+    // Q128.128 -> Q64.96，向上取整保证 getTickAtSqrtRatio(getSqrtRatioAtTick(t)) === t
+    return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// 最大的 tick，使得 getSqrtRatioAtTick(tick) <= sqrtPriceX96
+function getTickAtSqrtRatio(sqrtPriceX96) {
+    sqrtPriceX96 = toBigInt(sqrtPriceX96);
+    if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+        throw new Error(`getTickAtSqrtRatio: sqrtPriceX96 ${sqrtPriceX96} 超出范围 [${MIN_SQRT_RATIO}, ${MAX_SQRT_RATIO})`);
+    }
+    const ratio = sqrtPriceX96 << 32n;
+
+    // 最高有效位
+    let r = ratio;
+    let msb = 0n;
+    for (const shift of [128n, 64n, 32n, 16n, 8n, 4n, 2n, 1n]) {
+        if (r >= (1n << shift)) {
+            msb |= shift;
+            r >>= shift;
+        }
+    }
+
+    r = msb >= 128n ? ratio >> (msb - 127n) : ratio << (127n - msb);
+
+    // log2(ratio) 的 Q64.64 定点表示
+    let log2 = (msb - 128n) << 64n;
+    for (let bit = 63n; bit >= 50n; bit--) {
+        r = (r * r) >> 127n;
+        const f = r >> 128n;
+        log2 |= f << bit;
+        r >>= f;
+    }
+
+    // log_sqrt(1.0001)(ratio) = log2(ratio) / log2(sqrt(1.0001))
+    const logSqrt10001 = log2 * 255738958999603826347141n;
+    const tickLow = BigInt.asIntN(24, (logSqrt10001 - 3402992956809132418596140100660247210n) >> 128n);
+    const tickHigh = BigInt.asIntN(24, (logSqrt10001 + 291339464771989622907027621153398088495n) >> 128n);
+
+    if (tickLow === tickHigh) return Number(tickLow);
+    return getSqrtRatioAtTick(Number(tickHigh)) <= sqrtPriceX96 ? Number(tickHigh) : Number(tickLow);
+}
+
+// ========== SqrtPriceMath ==========
+
+function sortRatios(sqrtRatioAX96, sqrtRatioBX96) {
+    const a = toBigInt(sqrtRatioAX96);
+    const b = toBigInt(sqrtRatioBX96);
+    return a > b ? [b, a] : [a, b];
+}
+
+// 两个价格之间 liquidity 对应的 token0 数量
+function getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+    const [sqrtA, sqrtB] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+    if (sqrtA <= 0n) throw new Error("getAmount0Delta: sqrtRatio 必须大于 0");
+    const numerator1 = toBigInt(liquidity) << 96n;
+    const numerator2 = sqrtB - sqrtA;
+    return roundUp
+        ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtB), sqrtA)
+        : mulDiv(numerator1, numerator2, sqrtB) / sqrtA;
+}
+
+// 两个价格之间 liquidity 对应的 token1 数量
+function getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+    const [sqrtA, sqrtB] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+    return roundUp
+        ? mulDivRoundingUp(liquidity, sqrtB - sqrtA, Q96)
+        : mulDiv(liquidity, sqrtB - sqrtA, Q96);
+}
+
+// 加入 / 移出 amount 个 token0 后的价格（向上取整）
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amount, add) {
+    sqrtPX96 = toBigInt(sqrtPX96);
+    liquidity = toBigInt(liquidity);
+    amount = toBigInt(amount);
+    if (amount === 0n) return sqrtPX96;
+    const numerator1 = liquidity << 96n;
+    const product = amount * sqrtPX96;
+    if (add) {
+        return mulDivRoundingUp(numerator1, sqrtPX96, numerator1 + product);
+    }
+    if (numerator1 <= product) throw new Error("getNextSqrtPriceFromAmount0RoundingUp: 流动性不足");
+    const result = mulDivRoundingUp(numerator1, sqrtPX96, numerator1 - product);
+    if (result > MAX_UINT160) throw new Error("getNextSqrtPriceFromAmount0RoundingUp: 结果溢出 uint160");
+    return result;
+}
+
+// 加入 / 移出 amount 个 token1 后的价格（向下取整）
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amount, add) {
+    sqrtPX96 = toBigInt(sqrtPX96);
+    liquidity = toBigInt(liquidity);
+    amount = toBigInt(amount);
+    if (add) {
+        const result = sqrtPX96 + (amount << 96n) / liquidity;
+        if (result > MAX_UINT160) throw new Error("getNextSqrtPriceFromAmount1RoundingDown: 结果溢出 uint160");
+        return result;
+    }
+    const quotient = divRoundingUp(amount << 96n, liquidity);
+    if (sqrtPX96 <= quotient) throw new Error("getNextSqrtPriceFromAmount1RoundingDown: 流动性不足");
+    return sqrtPX96 - quotient;
+}
+
+// 输入 amountIn 后的价格；zeroForOne = 用 token0 换 token1
+function getNextSqrtPriceFromInput(sqrtPX96, liquidity, amountIn, zeroForOne) {
+    if (toBigInt(sqrtPX96) <= 0n || toBigInt(liquidity) <= 0n) throw new Error("getNextSqrtPriceFromInput: 价格和流动性必须大于 0");
+    return zeroForOne
+        ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountIn, true)
+        : getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountIn, true);
+}
+
+// 输出 amountOut 后的价格
+function getNextSqrtPriceFromOutput(sqrtPX96, liquidity, amountOut, zeroForOne) {
+    if (toBigInt(sqrtPX96) <= 0n || toBigInt(liquidity) <= 0n) throw new Error("getNextSqrtPriceFromOutput: 价格和流动性必须大于 0");
+    return zeroForOne
+        ? getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountOut, false)
+        : getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountOut, false);
+}
+
+// ========== LiquidityAmounts ==========
+
+function getLiquidityForAmount0(sqrtRatioAX96, sqrtRatioBX96, amount0) {
+    const [sqrtA, sqrtB] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+    const intermediate = mulDiv(sqrtA, sqrtB, Q96);
+    return mulDiv(amount0, intermediate, sqrtB - sqrtA);
+}
+
+function getLiquidityForAmount1(sqrtRatioAX96, sqrtRatioBX96, amount1) {
+    const [sqrtA, sqrtB] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+    return mulDiv(amount1, Q96, sqrtB - sqrtA);
+}
+
+// 当前价格下，amount0 / amount1 在 [sqrtA, sqrtB] 区间最多能提供的流动性
+function getLiquidityForAmounts(sqrtRatioX96, sqrtRatioAX96, sqrtRatioBX96, amount0, amount1) {
+    const sqrtP = toBigInt(sqrtRatioX96);
+    const [sqrtA, sqrtB] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+    if (sqrtP <= sqrtA) return getLiquidityForAmount0(sqrtA, sqrtB, amount0);
+    if (sqrtP < sqrtB) {
+        const liquidity0 = getLiquidityForAmount0(sqrtP, sqrtB, amount0);
+        const liquidity1 = getLiquidityForAmount1(sqrtA, sqrtP, amount1);
+        return liquidity0 < liquidity1 ? liquidity0 : liquidity1;
+    }
+    return getLiquidityForAmount1(sqrtA, sqrtB, amount1);
+}
+
+function getAmount0ForLiquidity(sqrtRatioAX96, sqrtRatioBX96, liquidity) {
+    const [sqrtA, sqrtB] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+    return mulDiv(toBigInt(liquidity) << 96n, sqrtB - sqrtA, sqrtB) / sqrtA;
+}
+
+function getAmount1ForLiquidity(sqrtRatioAX96, sqrtRatioBX96, liquidity) {
+    const [sqrtA, sqrtB] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+    return mulDiv(liquidity, sqrtB - sqrtA, Q96);
+}
+
+// 当前价格下 liquidity 对应的 { amount0, amount1 }（向下取整，与 periphery 一致）
+function getAmountsForLiquidity(sqrtRatioX96, sqrtRatioAX96, sqrtRatioBX96, liquidity) {
+    const sqrtP = toBigInt(sqrtRatioX96);
+    const [sqrtA, sqrtB] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+    if (sqrtP <= sqrtA) return { amount0: getAmount0ForLiquidity(sqrtA, sqrtB, liquidity), amount1: 0n };
+    if (sqrtP < sqrtB) {
+        return {
+            amount0: getAmount0ForLiquidity(sqrtP, sqrtB, liquidity),
+            amount1: getAmount1ForLiquidity(sqrtA, sqrtP, liquidity)
+        };
+    }
+    return { amount0: 0n, amount1: getAmount1ForLiquidity(sqrtA, sqrtB, liquidity) };
+}
+
+// ========== 手续费 ==========
+
+const Q128 = 1n << 128n;
+
+// Solidity uint256 减法（允许下溢回绕，feeGrowth 依赖这一特性）
+function subUint256(a, b) {
+    return BigInt.asUintN(256, toBigInt(a) - toBigInt(b));
+}
+
+// 区间内的累计手续费增长 (X128)，与 Pool._updatePosition 中的计算一致
+function getFeeGrowthInside(tickLower, tickUpper, tickCurrent, feeGrowthGlobalX128, lowerFeeGrowthOutsideX128, upperFeeGrowthOutsideX128) {
+    const feeGrowthBelow = tickCurrent >= tickLower
+        ? toBigInt(lowerFeeGrowthOutsideX128)
+        : subUint256(feeGrowthGlobalX128, lowerFeeGrowthOutsideX128);
+    const feeGrowthAbove = tickCurrent < tickUpper
+        ? toBigInt(upperFeeGrowthOutsideX128)
+        : subUint256(feeGrowthGlobalX128, upperFeeGrowthOutsideX128);
+    return subUint256(subUint256(feeGrowthGlobalX128, feeGrowthBelow), feeGrowthAbove);
+}
+
+// 自上次结算以来仓位新增的手续费（不含已记录的 tokensOwed）
+function getTokensOwed(feeGrowthInsideLastX128, feeGrowthInsideX128, liquidity) {
+    return BigInt.asUintN(128, mulDiv(subUint256(feeGrowthInsideX128, feeGrowthInsideLastX128), liquidity, Q128));
+}
+
+// ========== 价格换算 ==========
+
+// sqrt(amount1 / amount0) * 2^96，与 v3-sdk encodeSqrtRatioX96 相同（向下取整）
+function encodeSqrtRatioX96(amount1, amount0) {
+    amount1 = toBigInt(amount1);
+    amount0 = toBigInt(amount0);
+    if (amount0 <= 0n || amount1 <= 0n) throw new Error("encodeSqrtRatioX96: 数量必须大于 0");
+    return sqrt((amount1 << 192n) / amount0);
+}
+
+// 人类可读价格字符串 -> { numerator, denominator }（精确的十进制分数）
+function parseDecimal(value) {
+    const text = String(value).trim();
+    const match = /^(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+    if (!match || (!match[1] && !match[2])) throw new Error(`无效的价格: ${value}`);
+    const fraction = match[2] || "";
+    const exponent = Number(match[3] || 0) - fraction.length;
+    const digits = BigInt((match[1] || "0") + fraction);
+    return exponent >= 0
+        ? { numerator: digits * 10n ** BigInt(exponent), denominator: 1n }
+        : { numerator: digits, denominator: 10n ** BigInt(-exponent) };
+}
+
+// 人类价格分数 { numerator, denominator } (1 token0 = ? token1) -> sqrtPriceX96
+// 原始单位价格 = price * 10^decimals1 / 10^decimals0
+function priceFractionToSqrtPriceX96({ numerator, denominator }, decimals0, decimals1) {
+    const sqrtPriceX96 = encodeSqrtRatioX96(
+        toBigInt(numerator) * 10n ** BigInt(decimals1),
+        toBigInt(denominator) * 10n ** BigInt(decimals0)
+    );
+    if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+        throw new Error(`价格 ${numerator}/${denominator} 超出 Uniswap V3 支持的范围`);
+    }
+    return sqrtPriceX96;
+}
+
+// 人类价格字符串 (1 token0 = price 个 token1) -> sqrtPriceX96
+// inverse = true 时 price 表示 1 token1 = price 个 token0
+function priceToSqrtPriceX96(price, decimals0, decimals1, inverse = false) {
+    const { numerator, denominator } = parseDecimal(price);
+    if (numerator === 0n) throw new Error(`价格必须大于 0: ${price}`);
+    return inverse
+        ? priceFractionToSqrtPriceX96({ numerator: denominator, denominator: numerator }, decimals0, decimals1)
+        : priceFractionToSqrtPriceX96({ numerator, denominator }, decimals0, decimals1);
+}
+
+// sqrtPriceX96 -> 精确的人类价格分数 (1 token0 = ? token1)
+function sqrtPriceX96ToPriceFraction(sqrtPriceX96, decimals0, decimals1) {
+    const sqrtP = toBigInt(sqrtPriceX96);
+    return {
+        numerator: sqrtP * sqrtP * 10n ** BigInt(decimals0),
+        denominator: Q192 * 10n ** BigInt(decimals1)
+    };
+}
+
+// 分数 -> 保留 significantDigits 位有效数字的十进制字符串（截断）
+function formatFraction(numerator, denominator, significantDigits = 18) {
+    if (numerator === 0n) return "0";
+    const integer = numerator / denominator;
+    if (integer > 0n) {
+        const integerDigits = integer.toString().length;
+        const decimals = Math.max(0, significantDigits - integerDigits);
+        const scaled = (numerator * 10n ** BigInt(decimals)) / denominator;
+        return insertDecimalPoint(scaled.toString(), decimals);
+    }
+    // 纯小数：跳过前导 0 后保留有效数字
+    let zeros = 0;
+    while ((numerator * 10n ** BigInt(zeros + 1)) / denominator === 0n) zeros++;
+    const decimals = zeros + significantDigits;
+    const scaled = (numerator * 10n ** BigInt(decimals)) / denominator;
+    return insertDecimalPoint(scaled.toString().padStart(decimals + 1, "0"), decimals);
+}
+
+function insertDecimalPoint(digits, decimals) {
+    if (decimals === 0) return digits;
+    const whole = digits.slice(0, digits.length - decimals) || "0";
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+    return fraction ? `${whole}.${fraction}` : whole;
+}
+
+// sqrtPriceX96 -> 人类价格字符串 (1 token0 = ? token1)
+// inverse = true 时返回反向价格 (1 token1 = ? token0)
+function sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1, significantDigits = 18, inverse = false) {
+    const { numerator, denominator } = sqrtPriceX96ToPriceFraction(sqrtPriceX96, decimals0, decimals1);
+    return inverse
+        ? formatFraction(denominator, numerator, significantDigits)
+        : formatFraction(numerator, denominator, significantDigits);
+}
+
+// sqrtPriceX96 -> 原始单位价格字符串 (1 wei token0 = ? wei token1)
+function sqrtPriceX96ToRawPrice(sqrtPriceX96, significantDigits = 18) {
+    const sqrtP = toBigInt(sqrtPriceX96);
+    return formatFraction(sqrtP * sqrtP, Q192, significantDigits);
+}
+
+// 按当前价格把 token0 数量换算为 token1 数量（原始单位，向下取整）
+function amount0ToAmount1(amount0, sqrtPriceX96) {
+    const sqrtP = toBigInt(sqrtPriceX96);
+    return mulDiv(mulDiv(amount0, sqrtP, Q96), sqrtP, Q96);
+}
+
+// 按当前价格把 token1 数量换算为 token0 数量（原始单位，向下取整）
+function amount1ToAmount0(amount1, sqrtPriceX96) {
+    const sqrtP = toBigInt(sqrtPriceX96);
+    return mulDiv(mulDiv(amount1, Q96, sqrtP), Q96, sqrtP);
+}
+
+// 手续费等级 -> tickSpacing
+function getTickSpacing(fee) {
+    const spacing = FEE_TICK_SPACING[Number(fee)];
+    if (!spacing) throw new Error(`无效的手续费: ${fee}`);
+    return spacing;
+}
+
+// tickSpacing 对齐后的最小 / 最大可用 tick
+function getTickBounds(tickSpacing) {
+    return {
+        minTick: Math.ceil(MIN_TICK / tickSpacing) * tickSpacing,
+        maxTick: Math.floor(MAX_TICK / tickSpacing) * tickSpacing
+    };
+}
+
+// 将 tick 对齐到 tickSpacing 的倍数，rounding: "floor" | "ceil" | "round"，并限制在可用范围内
+function snapTick(tick, tickSpacing, rounding = "floor") {
+    const round = { floor: Math.floor, ceil: Math.ceil, round: Math.round }[rounding];
+    if (!round) throw new Error(`无效的取整方式: ${rounding}`);
+    const { minTick, maxTick } = getTickBounds(tickSpacing);
+    const snapped = round(tick / tickSpacing) * tickSpacing;
+    return Math.min(Math.max(snapped, minTick), maxTick);
+}
+
+// 价格变动 percent% 后对应的 tick（percent 可为负数，如 -10 表示价格下跌 10%）
+// 新价格 = 当前价格 * (1 + percent / 100)，用整数开方计算，结果限制在有效 tick 范围内
+function getTickForPriceChange(sqrtPriceX96, percent) {
+    const sqrtP = toBigInt(sqrtPriceX96);
+    const text = String(percent).trim();
+    const negative = text.startsWith("-");
+    const { numerator, denominator } = parseDecimal(negative ? text.slice(1) : text);
+    const factorNumerator = 100n * denominator + (negative ? -numerator : numerator);
+    if (factorNumerator <= 0n) throw new Error(`价格变动 ${percent}% 无效（价格必须大于 0）`);
+
+    let target = sqrt((sqrtP * sqrtP * factorNumerator) / (100n * denominator));
+    if (target < MIN_SQRT_RATIO) target = MIN_SQRT_RATIO;
+    if (target >= MAX_SQRT_RATIO) target = MAX_SQRT_RATIO - 1n;
+    return getTickAtSqrtRatio(target);
+}
+
+module.exports = {
+    Q96,
+    Q192,
+    MIN_TICK,
+    MAX_TICK,
+    MIN_SQRT_RATIO,
+    MAX_SQRT_RATIO,
+    FEE_TICK_SPACING,
+    toBigInt,
+    mulDiv,
+    mulDivRoundingUp,
+    sqrt,
+    getSqrtRatioAtTick,
+    getTickAtSqrtRatio,
+    getAmount0Delta,
+    getAmount1Delta,
+    getNextSqrtPriceFromAmount0RoundingUp,
+    getNextSqrtPriceFromAmount1RoundingDown,
+    getNextSqrtPriceFromInput,
+    getNextSqrtPriceFromOutput,
+    getLiquidityForAmount0,
+    getLiquidityForAmount1,
+    getLiquidityForAmounts,
+    getAmount0ForLiquidity,
+    getAmount1ForLiquidity,
+    getAmountsForLiquidity,
+    getFeeGrowthInside,
+    getTokensOwed,
+    encodeSqrtRatioX96,
+    parseDecimal,
+    priceFractionToSqrtPriceX96,
+    priceToSqrtPriceX96,
+    sqrtPriceX96ToPriceFraction,
+    formatFraction,
+    sqrtPriceX96ToPrice,
+    sqrtPriceX96ToRawPrice,
+    amount0ToAmount1,
+    amount1ToAmount0,
+    getTickSpacing,
+    getTickBounds,
+    snapTick,
+    getTickForPriceChange
+};